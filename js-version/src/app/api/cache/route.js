@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { apiCache } from "@/lib/responseCache";
+import { breakerStates } from "@/lib/httpClient";
+import { userFromRequest } from "@/lib/auth";
+
+export async function GET(req) {
+  if (!userFromRequest(req)) {
+    return NextResponse.json({ error: "Please sign in." }, { status: 401 });
+  }
+  return NextResponse.json({
+    cache: apiCache.stats(),
+    breakers: breakerStates(),
+  });
+}
+
+// DELETE /api/cache?endpoint=order_history drops one endpoint's entries.
+// Cached responses are shared by every user, so only users who may see all
+// data can drop them
+export async function DELETE(req) {
+  const user = userFromRequest(req);
+  if (!user) {
+    return NextResponse.json({ error: "Please sign in." }, { status: 401 });
+  }
+  if (user.scope !== "all") {
+    return NextResponse.json(
+      { error: "Only users with access to all data can clear the cache." },
+      { status: 403 }
+    );
+  }
+  const endpoint = new URL(req.url).searchParams.get("endpoint");
+  await apiCache.clear(endpoint ? `${endpoint}:` : "");
+  return NextResponse.json({ cache: apiCache.stats() });
+}
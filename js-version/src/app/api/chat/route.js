@@ -1,29 +1,245 @@
 import { NextResponse } from "next/server";
 import { GoogleGenAI, Type } from "@google/genai";
 import { configDotenv } from "dotenv";
-import { runAgent } from "@/lib/langgraphAgent";
+import {
+  getPendingApprovals,
+  runAgent,
+  streamAgent,
+} from "@/lib/langgraphAgent";
+import { toSSEStream } from "@/lib/sse";
+import { getThread, touchThread } from "@/lib/threadStore";
+import { loadProfile } from "@/lib/promptProfiles";
+import { DEFAULT_PROMPT_PROFILE } from "@/lib/config";
+import { userFromRequest } from "@/lib/auth";
+import { AgentError, classifyAgentError } from "@/lib/agentErrors";
 
 configDotenv();
 
+/**
+ * JSON error response for an AgentError: `{error, text, tools}` with the
+ * error type's HTTP status, plus Retry-After when the client should wait.
+ */
+function errorResponse(error, headers = {}) {
+  return NextResponse.json(
+    { error: error.toJSON(), text: error.message, tools: [] },
+    {
+      status: error.status,
+      headers: {
+        ...headers,
+        ...(error.retryAfter
+          ? { "Retry-After": String(error.retryAfter) }
+          : {}),
+      },
+    }
+  );
+}
+
+// Client-chosen message ids are UUIDs, like the ones LangGraph assigns
+const MESSAGE_ID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Body: {message, profile?, forkFrom?} for a new user turn, or {decisions:
+ * [{toolCallId, approved}]} with one decision per paused tool call to resume a
+ * run waiting for the user's approval (x-thread-id names the thread). A single
+ * `decision` is accepted while only one call is waiting. `message.id` optionally names the
+ * new message. `forkFrom` (a message id) branches the thread just before that
+ * message: a new message edits it, the same message with the same id
+ * regenerates its reply.
+ */
 export async function POST(req) {
+  // Echoed on every response and logged with failures, to correlate reports
+  const requestId = req.headers.get("x-request-id") || crypto.randomUUID();
+  const baseHeaders = { "x-request-id": requestId };
+  let threadId;
   try {
-    const { messages } = await req.json();
-    const threadId = req.headers.get("x-thread-id") || "web-chat";
-    const result = await runAgent(messages, threadId);
-    const text = typeof result === "string" ? result : result?.text;
-    const tools =
-      typeof result === "object" && Array.isArray(result?.tools)
-        ? result.tools
-        : [];
-    return NextResponse.json({ text: text || "", tools });
+    const user = userFromRequest(req);
+    if (!user) {
+      return errorResponse(
+        new AgentError("unauthenticated", { requestId }),
+        baseHeaders
+      );
+    }
+
+    const body = await req.json().catch(() => null);
+    if (body?.decisions !== undefined || body?.decision !== undefined) {
+      const decisions = body.decisions ?? [body.decision];
+      return await resumeRun(req, decisions, { user, requestId });
+    }
+
+    // Clients send only the new user turn; history lives in the thread checkpoint.
+    // A legacy `messages` array is reduced to its last user message.
+    const message =
+      body?.message ??
+      (Array.isArray(body?.messages)
+        ? body.messages.filter((m) => m?.role === "user").at(-1)
+        : undefined);
+    if (typeof message?.content !== "string" || !message.content.trim()) {
+      return errorResponse(
+        new AgentError("bad_request", { requestId }),
+        baseHeaders
+      );
+    }
+    if (
+      (message.id !== undefined && !MESSAGE_ID.test(String(message.id))) ||
+      (body.forkFrom !== undefined && typeof body.forkFrom !== "string")
+    ) {
+      return errorResponse(
+        new AgentError("bad_request", {
+          requestId,
+          message: "Invalid message id.",
+        }),
+        baseHeaders
+      );
+    }
+    const userMessage = {
+      role: "user",
+      content: message.content,
+      id: message.id,
+    };
+    if (body.profile != null && !loadProfile(body.profile)) {
+      return errorResponse(
+        new AgentError("bad_request", {
+          requestId,
+          message: `Unknown prompt profile "${body.profile}".`,
+        }),
+        baseHeaders
+      );
+    }
+
+    // Each conversation gets its own thread; the id is echoed back for follow-ups
+    threadId = req.headers.get("x-thread-id") || crypto.randomUUID();
+    // A paused run's tool calls need an answer before the model can go on;
+    // checked first so a rejected message leaves the thread untouched
+    if (
+      (await getThread(threadId, user.empId)) &&
+      (await getPendingApprovals(threadId)).length > 0
+    ) {
+      return errorResponse(new AgentError("approval_pending", { requestId }), {
+        ...baseHeaders,
+        "x-thread-id": threadId,
+      });
+    }
+    // A profile chosen in the request sticks to the thread for later turns
+    const thread = await touchThread(threadId, userMessage.content, {
+      owner: user.empId,
+      profile: body.profile ?? undefined,
+    });
+    if (!thread) {
+      return errorResponse(
+        new AgentError("bad_request", {
+          requestId,
+          message: "Conversation not found.",
+        }),
+        baseHeaders
+      );
+    }
+
+    return await respond(req, userMessage, threadId, {
+      requestId,
+      profile: thread.profile ?? DEFAULT_PROMPT_PROFILE,
+      user,
+      forkFrom: body.forkFrom,
+    });
   } catch (e) {
-    console.error("/api/chat error:", e);
-    return NextResponse.json(
+    const error = classifyAgentError(e, { requestId });
+    if (!(e instanceof AgentError)) {
+      console.error(`/api/chat error [${requestId}]:`, e);
+    }
+    return errorResponse(error, {
+      ...baseHeaders,
+      ...(threadId ? { "x-thread-id": threadId } : {}),
+    });
+  }
+}
+
+// Resumes the thread's paused run with the user's decision on each paused
+// tool call; every call needs exactly one decision
+async function resumeRun(req, decisions, { user, requestId }) {
+  const baseHeaders = { "x-request-id": requestId };
+  const threadId = req.headers.get("x-thread-id");
+  const thread = threadId ? await getThread(threadId, user.empId) : null;
+  const pending = thread ? await getPendingApprovals(threadId) : [];
+  const list = Array.isArray(decisions) ? decisions : [];
+  const decided = new Map(list.map((d) => [d?.toolCallId, d]));
+  if (
+    pending.length === 0 ||
+    list.length === 0 ||
+    decided.size !== list.length ||
+    [...decided.values()].some((d) => typeof d?.approved !== "boolean")
+  ) {
+    return errorResponse(
+      new AgentError("bad_request", {
+        requestId,
+        message: "There is no pending approval for this tool call.",
+      }),
+      baseHeaders
+    );
+  }
+  if (
+    decided.size !== pending.length ||
+    pending.some((p) => !decided.has(p.toolCallId))
+  ) {
+    return errorResponse(
+      new AgentError("bad_request", {
+        requestId,
+        message: `Decide on every pending tool call (${pending
+          .map((p) => p.toolCallId)
+          .join(", ")}).`,
+      }),
+      baseHeaders
+    );
+  }
+  await touchThread(threadId, "", { owner: user.empId });
+  return respond(req, null, threadId, {
+    requestId,
+    profile: thread.profile ?? DEFAULT_PROMPT_PROFILE,
+    user,
+    decisions: pending.map((p) => ({
+      toolCallId: p.toolCallId,
+      approved: decided.get(p.toolCallId).approved,
+    })),
+  });
+}
+
+// Runs the agent as an SSE stream when the client accepts one, else as JSON
+async function respond(req, userMessage, threadId, options) {
+  const headers = {
+    "x-request-id": options.requestId,
+    "x-thread-id": threadId,
+  };
+  const runOptions = { ...options, signal: req.signal };
+
+  // Clients that accept SSE get incremental text and tool events
+  if (req.headers.get("accept")?.includes("text/event-stream")) {
+    return new Response(
+      toSSEStream(streamAgent(userMessage, threadId, runOptions)),
       {
-        text: "Sorry, something went wrong while generating a response.",
-        tools: [],
-      },
-      { status: 500 }
+        headers: {
+          ...headers,
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache, no-transform",
+          Connection: "keep-alive",
+        },
+      }
     );
   }
+
+  const result = await runAgent(userMessage, threadId, runOptions);
+  const text = typeof result === "string" ? result : result?.text;
+  const tools =
+    typeof result === "object" && Array.isArray(result?.tools)
+      ? result.tools
+      : [];
+  return NextResponse.json(
+    {
+      text: text || "",
+      tools,
+      threadId,
+      profile: options.profile,
+      model: result?.model,
+      approvals: result?.approvals ?? [],
+    },
+    { headers }
+  );
 }
@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import { listProfiles } from "@/lib/promptProfiles";
+import { DEFAULT_PROMPT_PROFILE } from "@/lib/config";
+
+export async function GET() {
+  try {
+    return NextResponse.json({
+      profiles: listProfiles(),
+      default: DEFAULT_PROMPT_PROFILE,
+    });
+  } catch (e) {
+    console.error("/api/prompts error:", e);
+    return NextResponse.json(
+      { error: "Failed to list prompt profiles." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { fetchNextPage } from "@/lib/agentTools";
+import { userFromRequest } from "@/lib/auth";
+import { redactToolResult } from "@/lib/redaction";
+
+// GET ?cursor= - the next page of a paged tool result, for "Load more" in the UI
+export async function GET(req) {
+  const user = userFromRequest(req);
+  if (!user) {
+    return NextResponse.json({ error: "Please sign in." }, { status: 401 });
+  }
+  const cursor = new URL(req.url).searchParams.get("cursor");
+  if (!cursor) {
+    return NextResponse.json(
+      { error: "A cursor is required." },
+      { status: 400 }
+    );
+  }
+  try {
+    const page = fetchNextPage(cursor, { user });
+    return new Response(redactToolResult(JSON.stringify(page)), {
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (e) {
+    // Malformed, expired or someone else's cursor
+    return NextResponse.json({ error: e.message }, { status: 404 });
+  }
+}
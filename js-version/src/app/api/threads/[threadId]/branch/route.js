@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server";
+import { getPendingApprovals, switchBranch } from "@/lib/langgraphAgent";
+import { getThread } from "@/lib/threadStore";
+import { userFromRequest } from "@/lib/auth";
+
+// Body: {messageId} - makes the branch containing that message the current one
+// and returns the thread's messages along it
+export async function POST(req, { params }) {
+  const { threadId } = await params;
+  const user = userFromRequest(req);
+  if (!user) {
+    return NextResponse.json({ error: "Please sign in." }, { status: 401 });
+  }
+  try {
+    const { messageId } = (await req.json().catch(() => null)) ?? {};
+    if (typeof messageId !== "string" || !messageId) {
+      return NextResponse.json(
+        { error: "A message id is required." },
+        { status: 400 }
+      );
+    }
+    if (!(await getThread(threadId, user.empId))) {
+      return NextResponse.json(
+        { error: "Conversation not found." },
+        { status: 404 }
+      );
+    }
+    // Leaving a paused run would drop it, as it is not a finished branch
+    if ((await getPendingApprovals(threadId)).length > 0) {
+      return NextResponse.json(
+        { error: "Approve or deny the pending data request first." },
+        { status: 409 }
+      );
+    }
+    const messages = await switchBranch(threadId, messageId);
+    if (!messages) {
+      return NextResponse.json(
+        { error: "That branch no longer exists." },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json({ messages });
+  } catch (e) {
+    console.error(`/api/threads/${threadId}/branch error:`, e);
+    return NextResponse.json(
+      { error: "Failed to switch branch." },
+      { status: 500 }
+    );
+  }
+}
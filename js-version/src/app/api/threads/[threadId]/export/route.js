@@ -0,0 +1,87 @@
+import { NextResponse } from "next/server";
+import { getThreadMessages } from "@/lib/langgraphAgent";
+import { getThread } from "@/lib/threadStore";
+import { userFromRequest } from "@/lib/auth";
+import {
+  CONVERSATION_EXPORT_FORMATS,
+  RESULT_EXPORT_FORMATS,
+  exportConversation,
+  exportTable,
+  resultTable,
+} from "@/lib/exports";
+
+function download({ body, contentType, filename }) {
+  return new Response(body, {
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+}
+
+// GET ?format=markdown|pdf - the whole conversation
+// GET ?toolCallId=&format=csv|xlsx - every row behind one tool result, read on
+// the server so large results never pass through the model or the browser's JSON
+export async function GET(req, { params }) {
+  const { threadId } = await params;
+  const user = userFromRequest(req);
+  if (!user) {
+    return NextResponse.json({ error: "Please sign in." }, { status: 401 });
+  }
+  const search = new URL(req.url).searchParams;
+  const format = search.get("format");
+  const toolCallId = search.get("toolCallId");
+  const formats = toolCallId
+    ? RESULT_EXPORT_FORMATS
+    : CONVERSATION_EXPORT_FORMATS;
+  if (!formats.includes(format)) {
+    return NextResponse.json(
+      { error: `The format must be one of: ${formats.join(", ")}.` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const thread = await getThread(threadId, user.empId);
+    if (!thread) {
+      return NextResponse.json(
+        { error: "Conversation not found." },
+        { status: 404 }
+      );
+    }
+    const messages = await getThreadMessages(threadId);
+    if (!toolCallId) {
+      return download(exportConversation(thread, messages, format));
+    }
+
+    const toolCalls = messages.flatMap((m) => m.tools ?? []);
+    const toolCall = toolCalls.find((t) => t.toolCallId === toolCallId);
+    if (toolCall?.state !== "output-available") {
+      return NextResponse.json(
+        { error: "Tool result not found." },
+        { status: 404 }
+      );
+    }
+    let table;
+    try {
+      table = await resultTable(toolCall, { user, toolCalls });
+    } catch (e) {
+      // The snapshot expired and the query behind it could not run again
+      return NextResponse.json({ error: e.message }, { status: 404 });
+    }
+    if (!table) {
+      return NextResponse.json(
+        { error: "This tool result has no rows to export." },
+        { status: 400 }
+      );
+    }
+    return download(
+      exportTable(table, format, {
+        name: toolCall.input?.endpoint ?? toolCall.name,
+      })
+    );
+  } catch (e) {
+    console.error(`/api/threads/${threadId}/export error:`, e);
+    return NextResponse.json({ error: "Failed to export." }, { status: 500 });
+  }
+}
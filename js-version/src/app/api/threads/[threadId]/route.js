@@ -0,0 +1,108 @@
+import { NextResponse } from "next/server";
+import { deleteThreadState, getThreadMessages } from "@/lib/langgraphAgent";
+import {
+  getThread,
+  removeThread,
+  renameThread,
+  setThreadProfile,
+} from "@/lib/threadStore";
+import { loadProfile } from "@/lib/promptProfiles";
+import { userFromRequest } from "@/lib/auth";
+
+function unauthenticated() {
+  return NextResponse.json({ error: "Please sign in." }, { status: 401 });
+}
+
+export async function GET(req, { params }) {
+  const { threadId } = await params;
+  const user = userFromRequest(req);
+  if (!user) return unauthenticated();
+  try {
+    const thread = await getThread(threadId, user.empId);
+    if (!thread) {
+      return NextResponse.json(
+        { error: "Conversation not found." },
+        { status: 404 }
+      );
+    }
+    const messages = await getThreadMessages(threadId);
+    return NextResponse.json({ thread, messages });
+  } catch (e) {
+    console.error(`/api/threads/${threadId} error:`, e);
+    return NextResponse.json(
+      { error: "Failed to load conversation." },
+      { status: 500 }
+    );
+  }
+}
+
+// Body: {title?, profile?} - renames the thread and/or switches its prompt profile
+export async function PATCH(req, { params }) {
+  const { threadId } = await params;
+  const user = userFromRequest(req);
+  if (!user) return unauthenticated();
+  try {
+    const { title, profile } = (await req.json().catch(() => null)) ?? {};
+    if (title === undefined && profile === undefined) {
+      return NextResponse.json(
+        { error: "A title or profile is required." },
+        { status: 400 }
+      );
+    }
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+      return NextResponse.json(
+        { error: "A non-empty title is required." },
+        { status: 400 }
+      );
+    }
+    if (profile !== undefined && !loadProfile(profile)) {
+      return NextResponse.json(
+        { error: `Unknown prompt profile "${profile}".` },
+        { status: 400 }
+      );
+    }
+    let thread = await getThread(threadId, user.empId);
+    if (thread && title !== undefined) {
+      thread = await renameThread(threadId, title);
+    }
+    if (thread && profile !== undefined) {
+      thread = await setThreadProfile(threadId, profile);
+    }
+    if (!thread) {
+      return NextResponse.json(
+        { error: "Conversation not found." },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json({ thread });
+  } catch (e) {
+    console.error(`/api/threads/${threadId} error:`, e);
+    return NextResponse.json(
+      { error: "Failed to update conversation." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(req, { params }) {
+  const { threadId } = await params;
+  const user = userFromRequest(req);
+  if (!user) return unauthenticated();
+  try {
+    if (!(await getThread(threadId, user.empId))) {
+      return NextResponse.json(
+        { error: "Conversation not found." },
+        { status: 404 }
+      );
+    }
+    await deleteThreadState(threadId);
+    await removeThread(threadId);
+    return NextResponse.json({ ok: true });
+  } catch (e) {
+    console.error(`/api/threads/${threadId} error:`, e);
+    return NextResponse.json(
+      { error: "Failed to delete conversation." },
+      { status: 500 }
+    );
+  }
+}
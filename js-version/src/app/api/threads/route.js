@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server";
+import { listThreads } from "@/lib/threadStore";
+import { userFromRequest } from "@/lib/auth";
+
+export async function GET(req) {
+  const user = userFromRequest(req);
+  if (!user) {
+    return NextResponse.json({ error: "Please sign in." }, { status: 401 });
+  }
+  try {
+    const threads = await listThreads(user.empId);
+    return NextResponse.json({ threads });
+  } catch (e) {
+    console.error("/api/threads error:", e);
+    return NextResponse.json(
+      { error: "Failed to list conversations." },
+      { status: 500 }
+    );
+  }
+}
@@ -1,7 +1,7 @@
 // src/app/chat/page.js
 "use client";
 
-import { useRef, useEffect, useState, useMemo } from "react";
+import { Fragment, useRef, useEffect, useState, useMemo } from "react";
 import {
   Card,
   CardHeader,
@@ -15,7 +15,10 @@ import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
 import { cn } from "@/lib/utils";
+import { readSSE } from "@/lib/sse";
+import { tableFromOutput } from "@/lib/resultTables";
 import { Response } from "@/components/ai-elements/response";
+import { Chart } from "@/components/ai-elements/chart";
 import {
   Tool,
   ToolHeader,
@@ -32,18 +35,113 @@ import {
   Sparkles,
   Loader2,
   AlertTriangle,
+  Plus,
+  MessageSquare,
+  Pencil,
+  Trash2,
+  RotateCcw,
+  Download,
+  Check,
+  X,
+  ChevronLeft,
+  ChevronRight,
 } from "lucide-react";
 
 const BOT_AVATAR = "https://api.dicebear.com/7.x/bottts/svg?seed=Gemini";
 const USER_AVATAR = "https://api.dicebear.com/7.x/personas/svg?seed=User";
 const MAX_MESSAGE_CHARS = 2000;
 
+// Download link for a conversation ({format}) or one tool result ({toolCallId, format})
+function exportUrl(threadId, params) {
+  return `/api/threads/${encodeURIComponent(
+    threadId
+  )}/export?${new URLSearchParams(params)}`;
+}
+
+const updateTool = (message, toolCallId, update) => ({
+  ...message,
+  tools: message.tools.map((t) =>
+    t.toolCallId === toolCallId ? { ...t, ...update } : t
+  ),
+});
+
+// Applies one streamed chat event to the assistant message it belongs to
+function applyStreamEvent(message, event) {
+  switch (event.type) {
+    case "text-delta":
+      return { ...message, content: message.content + event.delta };
+    case "tool-call-start":
+      return {
+        ...message,
+        tools: [
+          ...message.tools,
+          {
+            toolCallId: event.toolCallId,
+            name: event.name,
+            type: event.name,
+            input: event.input,
+            output: undefined,
+            state: "input-available",
+            errorText: undefined,
+          },
+        ],
+      };
+    case "approval-requested":
+      return updateTool(message, event.toolCallId, {
+        state: "approval-requested",
+        approval: { reasons: event.reasons },
+      });
+    case "tool-result":
+      return updateTool(message, event.toolCallId, {
+        output: event.output,
+        artifact: event.artifact,
+        state: "output-available",
+      });
+    case "tool-denied":
+      return updateTool(message, event.toolCallId, {
+        output: event.output,
+        state: "output-denied",
+      });
+    case "tool-error":
+      return updateTool(message, event.toolCallId, {
+        output: event.output,
+        state: "output-error",
+        errorText: event.errorText,
+      });
+    case "done":
+      return {
+        ...message,
+        model: event.model ?? message.model,
+        // A run paused for approval may not have said anything yet
+        content:
+          message.content ||
+          event.text ||
+          (event.awaitingApproval
+            ? ""
+            : "Sorry, I couldn't generate a response."),
+      };
+    default:
+      return message;
+  }
+}
+
+function streamError(event) {
+  return Object.assign(new Error(event.message), {
+    agentError: event.error ?? { type: "internal", message: event.message },
+  });
+}
+
 export default function ChatPage() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
-  const [aborted, setAborted] = useState(false);
   const [inlineError, setInlineError] = useState(""); // inline feedback instead of toast
+  const [agentError, setAgentError] = useState(null); // typed failure of the last turn
+  const [threads, setThreads] = useState([]);
+  const [threadId, setThreadId] = useState(null); // null until the server assigns one
+  const [profiles, setProfiles] = useState([]); // system prompt profiles
+  const [profile, setProfile] = useState(""); // "" = the thread's or server default
+  const [editingId, setEditingId] = useState(null); // user message being edited
   const scrollRef = useRef(null);
   const inputRef = useRef(null);
   const controllerRef = useRef(null);
@@ -53,69 +151,181 @@ export default function ChatPage() {
     input.trim().length <= MAX_MESSAGE_CHARS &&
     !loading;
 
-  async function sendMessage(e) {
+  // `resend` sends from an earlier point: {content, fromId} replaces that user
+  // message (retrying a failed turn). With `forkFrom` the server branches the
+  // thread there instead, and `id` keeps the message's id to regenerate its reply.
+  async function sendMessage(e, resend = null) {
     e?.preventDefault?.();
-    if (!canSend) return;
+    if (resend ? loading : !canSend) return;
 
     setInlineError(""); // clear previous error
+    setAgentError(null);
 
     const userMsg = {
       role: "user",
-      content: input.trim(),
+      content: resend?.content ?? input.trim(),
       timestamp: new Date().toISOString(),
-      id: crypto.randomUUID(),
+      id: resend?.id ?? crypto.randomUUID(),
     };
 
-    const newMessages = [...messages, userMsg];
+    const resendIndex = resend
+      ? messages.findIndex((m) => m.id === resend.fromId)
+      : -1;
+    const history =
+      resendIndex >= 0 ? messages.slice(0, resendIndex) : messages;
+    const newMessages = [...history, userMsg];
 
     setMessages(newMessages);
     // Keep the prompt in the textarea after sending to avoid it "disappearing"
     setLoading(true);
-    setAborted(false);
+
+    // The assistant bubble is created on the first streamed event and updated in place
+    const botId = crypto.randomUUID();
+    const updateBot = (update) =>
+      setMessages((prev) => {
+        const existing = prev.find((m) => m.id === botId);
+        const base = existing || {
+          role: "assistant",
+          content: "",
+          tools: [],
+          timestamp: new Date().toISOString(),
+          id: botId,
+        };
+        const next = update(base);
+        return existing
+          ? prev.map((m) => (m.id === botId ? next : m))
+          : [...prev, next];
+      });
 
     try {
       controllerRef.current = new AbortController();
       const res = await fetch("/api/chat", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+          ...(threadId ? { "x-thread-id": threadId } : {}),
+        },
         signal: controllerRef.current.signal,
-        body: JSON.stringify({ messages: newMessages }),
+        // The server rebuilds earlier turns from the thread checkpoint
+        body: JSON.stringify({
+          message: {
+            role: userMsg.role,
+            content: userMsg.content,
+            id: userMsg.id,
+          },
+          ...(profile ? { profile } : {}),
+          ...(resend?.forkFrom ? { forkFrom: resend.forkFrom } : {}),
+        }),
       });
 
+      const assignedThreadId = res.headers.get("x-thread-id");
+      if (assignedThreadId) setThreadId(assignedThreadId);
+
       if (!res.ok) {
-        throw new Error(`Request failed: ${res.status}`);
+        const data = await res.json().catch(() => null);
+        throw Object.assign(new Error(`Request failed: ${res.status}`), {
+          agentError: data?.error,
+        });
       }
 
-      const data = await res.json();
-
-      console.log("=== Response from /api/chat ===");
-      console.log("Text:", data.text);
-      console.log("Tools received:", data.tools);
-
-      // Log each tool's input
-      if (Array.isArray(data.tools)) {
-        data.tools.forEach((tool, idx) => {
-          console.log(`Tool ${idx}:`, {
-            name: tool.name,
-            input: tool.input,
-            state: tool.state,
-            output: tool.output ? "(output exists)" : "(no output)",
-          });
+      for await (const event of readSSE(res)) {
+        if (event.type === "error") throw streamError(event);
+        updateBot((m) => applyStreamEvent(m, event));
+      }
+      // Picks up the new branch's place among the alternatives
+      if (resend?.forkFrom) {
+        await loadThread(threadId).catch((err) =>
+          console.error("Failed to reload conversation:", err)
+        );
+      }
+    } catch (err) {
+      // The server discards a cancelled or failed run from the thread; mirror that here
+      setMessages((prev) => prev.filter((m) => m.id !== botId));
+      if (controllerRef.current?.signal.aborted) {
+        setInlineError("Generation stopped.");
+      } else if (err?.agentError) {
+        setAgentError({
+          ...err.agentError,
+          retry: { ...resend, content: userMsg.content, fromId: userMsg.id },
         });
+      } else {
+        setInlineError(
+          err?.message || "Something went wrong. Please try again."
+        );
       }
+    } finally {
+      setLoading(false);
+      controllerRef.current = null;
+      refreshThreads();
+    }
+  }
 
-      const botMsg = {
-        role: "assistant",
-        content: data.text || "Sorry, I couldn't generate a response.",
-        tools: Array.isArray(data.tools) ? data.tools : [],
-        timestamp: new Date().toISOString(),
-        id: crypto.randomUUID(),
-      };
+  // Records the user's decision on a tool call paused for approval. Once every
+  // paused call of the message is decided the run resumes with all of them,
+  // and the rest of the answer streams into the same assistant message.
+  async function decideApproval(botId, toolCallId, approved) {
+    if (loading || !threadId) return;
+    const bot = messages.find((m) => m.id === botId);
+    if (!bot) return;
+    const decide = (m) =>
+      updateTool(m, toolCallId, {
+        state: "approval-responded",
+        decision: approved,
+      });
+    const decided = decide(bot);
+    const updateBot = (update) =>
+      setMessages((prev) => prev.map((m) => (m.id === botId ? update(m) : m)));
+    updateBot(decide);
+    if (decided.tools.some((t) => t.state === "approval-requested")) return;
+
+    setInlineError("");
+    setAgentError(null);
+    setLoading(true);
+    // On failure every call of the batch waits for a decision again
+    const before = {
+      ...decided,
+      tools: decided.tools.map((t) =>
+        t.state === "approval-responded"
+          ? { ...t, state: "approval-requested", decision: undefined }
+          : t
+      ),
+    };
+    const decisions = decided.tools
+      .filter((t) => t.state === "approval-responded")
+      .map((t) => ({ toolCallId: t.toolCallId, approved: t.decision }));
+
+    try {
+      controllerRef.current = new AbortController();
+      const res = await fetch("/api/chat", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+          "x-thread-id": threadId,
+        },
+        signal: controllerRef.current.signal,
+        body: JSON.stringify({ decisions }),
+      });
 
-      setMessages((prev) => [...prev, botMsg]);
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw Object.assign(new Error(`Request failed: ${res.status}`), {
+          agentError: data?.error,
+        });
+      }
+
+      for await (const event of readSSE(res)) {
+        if (event.type === "error") throw streamError(event);
+        updateBot((m) => applyStreamEvent(m, event));
+      }
     } catch (err) {
-      if (aborted) {
+      // The server rewinds a failed resume, so the calls are waiting again
+      updateBot(() => before);
+      if (controllerRef.current?.signal.aborted) {
         setInlineError("Generation stopped.");
+      } else if (err?.agentError) {
+        setAgentError(err.agentError);
       } else {
         setInlineError(
           err?.message || "Something went wrong. Please try again."
@@ -124,12 +334,151 @@ export default function ChatPage() {
     } finally {
       setLoading(false);
       controllerRef.current = null;
+      refreshThreads();
+    }
+  }
+
+  // Sends an edited user message as a new branch from where it was asked
+  function editMessage(message, content) {
+    setEditingId(null);
+    if (content === message.content) return;
+    sendMessage(undefined, {
+      content,
+      fromId: message.id,
+      forkFrom: message.id,
+    });
+  }
+
+  // Asks the user message before `reply` again, as a new branch of the answer
+  function regenerateReply(reply) {
+    const index = messages.findIndex((m) => m.id === reply.id);
+    const question = messages
+      .slice(0, index)
+      .findLast((m) => m.role === "user");
+    if (!question) return;
+    sendMessage(undefined, {
+      content: question.content,
+      fromId: question.id,
+      forkFrom: question.id,
+      id: question.id,
+    });
+  }
+
+  async function switchBranch(messageId) {
+    if (loading || !threadId) return;
+    setInlineError("");
+    setAgentError(null);
+    const res = await fetch(
+      `/api/threads/${encodeURIComponent(threadId)}/branch`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ messageId }),
+      }
+    );
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      setInlineError(data?.error || "Failed to switch branch.");
+      return;
+    }
+    setMessages(Array.isArray(data.messages) ? data.messages : []);
+  }
+
+  async function refreshThreads() {
+    try {
+      const res = await fetch("/api/threads");
+      if (!res.ok) return;
+      const data = await res.json();
+      setThreads(Array.isArray(data.threads) ? data.threads : []);
+    } catch (err) {
+      console.error("Failed to load conversations:", err);
+    }
+  }
+
+  // Shows the thread's current branch as stored on the server
+  async function loadThread(id) {
+    const res = await fetch(`/api/threads/${encodeURIComponent(id)}`);
+    if (!res.ok) {
+      throw new Error(`Failed to load conversation: ${res.status}`);
     }
+    const data = await res.json();
+    setMessages(Array.isArray(data.messages) ? data.messages : []);
+    return data.thread;
+  }
+
+  async function selectThread(id) {
+    if (loading || id === threadId) return;
+    setInlineError("");
+    setAgentError(null);
+    try {
+      const thread = await loadThread(id);
+      setProfile(thread?.profile || "");
+      setThreadId(id);
+      setEditingId(null);
+    } catch (err) {
+      setInlineError(err?.message || "Failed to load conversation.");
+    }
+  }
+
+  function startNewThread() {
+    if (loading) return;
+    setThreadId(null);
+    setMessages([]);
+    setEditingId(null);
+    setProfile("");
+    setInlineError("");
+    setAgentError(null);
+    inputRef.current?.focus();
+  }
+
+  async function renameThread(id) {
+    const current = threads.find((t) => t.id === id);
+    const title = window.prompt("Rename conversation", current?.title || "");
+    if (!title || !title.trim()) return;
+    const res = await fetch(`/api/threads/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title }),
+    });
+    if (!res.ok) setInlineError("Failed to rename conversation.");
+    refreshThreads();
+  }
+
+  async function refreshProfiles() {
+    try {
+      const res = await fetch("/api/prompts");
+      if (!res.ok) throw new Error(`Failed to load profiles: ${res.status}`);
+      const data = await res.json();
+      setProfiles(Array.isArray(data.profiles) ? data.profiles : []);
+    } catch (err) {
+      console.error("Failed to load prompt profiles:", err);
+    }
+  }
+
+  // Applies to the next message; an existing thread keeps it for later turns
+  async function changeProfile(name) {
+    setProfile(name);
+    if (!threadId || !name) return;
+    const res = await fetch(`/api/threads/${encodeURIComponent(threadId)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ profile: name }),
+    });
+    if (!res.ok) setInlineError("Failed to change the assistant profile.");
+  }
+
+  async function deleteThread(id) {
+    if (!window.confirm("Delete this conversation?")) return;
+    const res = await fetch(`/api/threads/${encodeURIComponent(id)}`, {
+      method: "DELETE",
+    });
+    if (!res.ok) setInlineError("Failed to delete conversation.");
+    if (id === threadId) startNewThread();
+    refreshThreads();
   }
 
   function stopGeneration() {
     if (controllerRef.current) {
-      setAborted(true);
       controllerRef.current.abort();
     }
   }
@@ -141,9 +490,11 @@ export default function ChatPage() {
     }
   }, [messages, loading]);
 
-  // Focus textarea on mount
+  // Focus textarea and load the conversation list on mount
   useEffect(() => {
     inputRef.current?.focus();
+    refreshThreads();
+    refreshProfiles();
   }, []);
 
   function formatTime(ts) {
@@ -152,6 +503,11 @@ export default function ChatPage() {
     return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
   }
 
+  // Branching away from a paused run would drop it
+  const awaitingApproval = messages.some((m) =>
+    m.tools?.some((t) => t.state === "approval-requested")
+  );
+
   const charCount = input.trim().length;
   const charTooLong = charCount > MAX_MESSAGE_CHARS;
 
@@ -169,8 +525,17 @@ export default function ChatPage() {
   }, [messages]);
 
   return (
-    <div className="mx-auto max-w-5xl p-4 md:p-6 lg:p-8 h-screen box-border flex flex-col">
-      <Card className="border-muted shadow-m flex flex-col gap-0 flex-1 min-h-0 py-0">
+    <div className="mx-auto max-w-7xl p-4 md:p-6 lg:p-8 h-screen box-border flex gap-4">
+      <ThreadSidebar
+        threads={threads}
+        activeId={threadId}
+        disabled={loading}
+        onSelect={selectThread}
+        onNew={startNewThread}
+        onRename={renameThread}
+        onDelete={deleteThread}
+      />
+      <Card className="border-muted shadow-m flex flex-col gap-0 flex-1 min-w-0 min-h-0 py-0">
         <Header />
 
         <Separator />
@@ -188,25 +553,63 @@ export default function ChatPage() {
                 groupedMessages.map((group, idx) => (
                   <MessageGroup key={idx} role={group.role}>
                     {group.items.map((msg) => (
-                      <MessageBubble
-                        key={msg.id}
-                        role={msg.role}
-                        content={msg.content}
-                        time={formatTime(msg.timestamp)}
-                        tools={msg.tools}
-                      />
+                      <Fragment key={msg.id}>
+                        {msg.id === editingId ? (
+                          <MessageEditor
+                            initial={msg.content}
+                            onSave={(content) => editMessage(msg, content)}
+                            onCancel={() => setEditingId(null)}
+                          />
+                        ) : (
+                          <MessageBubble
+                            role={msg.role}
+                            content={msg.content}
+                            time={formatTime(msg.timestamp)}
+                            tools={msg.tools}
+                            model={msg.model}
+                            threadId={threadId}
+                            onDecide={(toolCallId, approved) =>
+                              decideApproval(msg.id, toolCallId, approved)
+                            }
+                            disabled={loading}
+                          />
+                        )}
+                        {threadId && msg.id !== editingId && (
+                          <MessageActions
+                            role={msg.role}
+                            branch={msg.branch}
+                            onSwitch={switchBranch}
+                            onEdit={() => setEditingId(msg.id)}
+                            onRegenerate={() => regenerateReply(msg)}
+                            disabled={loading || awaitingApproval}
+                          />
+                        )}
+                      </Fragment>
                     ))}
                   </MessageGroup>
                 ))
               )}
 
-              {loading && <AssistantTyping />}
+              {loading &&
+                messages[messages.length - 1]?.role !== "assistant" && (
+                  <AssistantTyping />
+                )}
             </div>
           </ScrollArea>
         </CardContent>
 
         <Separator />
 
+        {agentError && (
+          <AgentErrorNotice
+            key={agentError.requestId}
+            error={agentError}
+            onRetry={() => sendMessage(undefined, agentError.retry)}
+            onNewChat={startNewThread}
+            disabled={loading}
+          />
+        )}
+
         {/* Inline feedback row (errors / info) */}
         {(inlineError || charTooLong) && (
           <div className="px-4 pt-3">
@@ -242,10 +645,51 @@ export default function ChatPage() {
                 disabled={loading}
               />
               <div className="mt-2 flex items-center justify-between">
-                <Badge variant="outline" className="gap-1">
-                  <Sparkles className="h-3.5 w-3.5" />
-                  Smart chat
-                </Badge>
+                <div className="flex items-center gap-2">
+                  <Badge variant="outline" className="gap-1">
+                    <Sparkles className="h-3.5 w-3.5" />
+                    Smart chat
+                  </Badge>
+                  {profiles.length > 1 && (
+                    <select
+                      value={profile}
+                      onChange={(e) => changeProfile(e.target.value)}
+                      disabled={loading}
+                      aria-label="Assistant profile"
+                      title={
+                        profiles.find((p) => p.name === profile)?.description
+                      }
+                      className="h-6 rounded-md border bg-background px-1.5 text-xs text-muted-foreground"
+                    >
+                      <option value="">Default profile</option>
+                      {profiles.map((p) => (
+                        <option key={p.name} value={p.name}>
+                          {p.label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  {threadId && messages.length > 0 && !loading && (
+                    <span className="flex items-center gap-1.5 text-xs text-muted-foreground">
+                      <Download className="h-3.5 w-3.5" />
+                      <a
+                        href={exportUrl(threadId, { format: "markdown" })}
+                        download
+                        className="hover:text-foreground hover:underline"
+                      >
+                        Markdown
+                      </a>
+                      <a
+                        href={exportUrl(threadId, { format: "pdf" })}
+                        download
+                        title="PDFs show only Latin characters; other scripts appear as ?. Use Markdown to keep them."
+                        className="hover:text-foreground hover:underline"
+                      >
+                        PDF
+                      </a>
+                    </span>
+                  )}
+                </div>
                 <span
                   className={cn(
                     "text-xs tabular-nums",
@@ -290,6 +734,149 @@ export default function ChatPage() {
   );
 }
 
+// Per error type: icon colour, whether retrying can help, and an extra action
+const AGENT_ERROR_STYLES = {
+  rate_limited: { tone: "text-amber-700", retry: true },
+  tool_failure: { tone: "text-amber-700", retry: true },
+  internal: { tone: "text-destructive", retry: true },
+  context_too_long: { tone: "text-amber-700", newChat: true },
+  safety_blocked: { tone: "text-amber-700" },
+  unauthenticated: { tone: "text-destructive" },
+  auth: { tone: "text-destructive" },
+  bad_request: { tone: "text-destructive" },
+  approval_pending: { tone: "text-amber-700" },
+};
+
+// Typed failure of the last turn; rate limits count down before allowing a retry
+function AgentErrorNotice({ error, onRetry, onNewChat, disabled }) {
+  const style = AGENT_ERROR_STYLES[error.type] ?? AGENT_ERROR_STYLES.internal;
+  const [secondsLeft, setSecondsLeft] = useState(
+    error.type === "rate_limited" ? error.retryAfter ?? 0 : 0
+  );
+
+  useEffect(() => {
+    if (secondsLeft <= 0) return;
+    const timer = setTimeout(() => setSecondsLeft((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft]);
+
+  return (
+    <div className="px-4 pt-3">
+      <div className="flex items-start gap-2 text-sm">
+        <AlertTriangle className={cn("mt-0.5 h-4 w-4 shrink-0", style.tone)} />
+        <div className="flex-1 space-y-1">
+          <p className={cn("leading-relaxed", style.tone)}>{error.message}</p>
+          {error.requestId && (
+            <p className="text-[10px] text-muted-foreground">
+              Request ID: {error.requestId}
+            </p>
+          )}
+        </div>
+        {style.retry && error.retry && (
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            onClick={onRetry}
+            disabled={disabled || secondsLeft > 0}
+          >
+            <RotateCcw className="mr-1 h-3.5 w-3.5" />
+            {secondsLeft > 0 ? `Retry in ${secondsLeft}s` : "Retry"}
+          </Button>
+        )}
+        {style.newChat && (
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            onClick={onNewChat}
+            disabled={disabled}
+          >
+            <Plus className="mr-1 h-3.5 w-3.5" />
+            New chat
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Sidebar: conversation threads, newest first
+function ThreadSidebar({
+  threads,
+  activeId,
+  disabled,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+}) {
+  return (
+    <Card className="hidden md:flex w-64 shrink-0 flex-col gap-0 py-0 border-muted">
+      <div className="p-3">
+        <Button
+          type="button"
+          variant="outline"
+          className="w-full justify-start"
+          onClick={onNew}
+          disabled={disabled}
+        >
+          <Plus className="h-4 w-4" />
+          New chat
+        </Button>
+      </div>
+      <Separator />
+      <ScrollArea className="flex-1 min-h-0">
+        <div className="p-2 space-y-1">
+          {threads.length === 0 ? (
+            <p className="px-2 py-4 text-xs text-muted-foreground">
+              No conversations yet.
+            </p>
+          ) : (
+            threads.map((thread) => (
+              <div
+                key={thread.id}
+                className={cn(
+                  "group flex items-center gap-1 rounded-md px-2 py-1.5 text-sm",
+                  thread.id === activeId ? "bg-muted" : "hover:bg-muted/60"
+                )}
+              >
+                <button
+                  type="button"
+                  className="flex flex-1 min-w-0 items-center gap-2 text-left disabled:opacity-50"
+                  onClick={() => onSelect(thread.id)}
+                  disabled={disabled}
+                  title={thread.title}
+                >
+                  <MessageSquare className="h-3.5 w-3.5 shrink-0 text-muted-foreground" />
+                  <span className="truncate">{thread.title}</span>
+                </button>
+                <button
+                  type="button"
+                  className="opacity-0 group-hover:opacity-100 text-muted-foreground hover:text-foreground"
+                  onClick={() => onRename(thread.id)}
+                  aria-label="Rename conversation"
+                >
+                  <Pencil className="h-3.5 w-3.5" />
+                </button>
+                <button
+                  type="button"
+                  className="opacity-0 group-hover:opacity-100 text-muted-foreground hover:text-destructive disabled:hidden"
+                  onClick={() => onDelete(thread.id)}
+                  disabled={disabled && thread.id === activeId}
+                  aria-label="Delete conversation"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </ScrollArea>
+    </Card>
+  );
+}
+
 // Header: keep compact avatar (h-9 w-9)
 function Header() {
   return (
@@ -383,8 +970,260 @@ function MessageGroup({ role, children }) {
   );
 }
 
-function MessageBubble({ role, content, time, tools = [] }) {
+// "< 2/3 >" between a message's alternatives, plus edit (user) or
+// regenerate (assistant), both of which add an alternative
+function MessageActions({
+  role,
+  branch,
+  onSwitch,
+  onEdit,
+  onRegenerate,
+  disabled,
+}) {
+  const isUser = role === "user";
+  const buttonClass =
+    "text-muted-foreground hover:text-foreground disabled:opacity-40 disabled:hover:text-muted-foreground";
+  return (
+    <div className="flex items-center gap-1.5 px-1 text-[10px] text-muted-foreground">
+      {branch && (
+        <>
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => onSwitch(branch.ids[branch.index - 1])}
+            disabled={disabled || branch.index <= 0}
+            aria-label="Previous version"
+          >
+            <ChevronLeft className="h-3.5 w-3.5" />
+          </button>
+          <span className="tabular-nums">
+            {branch.index + 1}/{branch.ids.length}
+          </span>
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => onSwitch(branch.ids[branch.index + 1])}
+            disabled={disabled || branch.index >= branch.ids.length - 1}
+            aria-label="Next version"
+          >
+            <ChevronRight className="h-3.5 w-3.5" />
+          </button>
+        </>
+      )}
+      <button
+        type="button"
+        className={buttonClass}
+        onClick={isUser ? onEdit : onRegenerate}
+        disabled={disabled}
+        aria-label={isUser ? "Edit message" : "Regenerate reply"}
+        title={isUser ? "Edit and resend" : "Regenerate"}
+      >
+        {isUser ? (
+          <Pencil className="h-3.5 w-3.5" />
+        ) : (
+          <RotateCcw className="h-3.5 w-3.5" />
+        )}
+      </button>
+    </div>
+  );
+}
+
+// Inline editor replacing a user bubble; Escape cancels
+function MessageEditor({ initial, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+  const text = draft.trim();
+  const canSave = text.length > 0 && text.length <= MAX_MESSAGE_CHARS;
+  return (
+    <div className="w-full min-w-[280px] space-y-2">
+      <Textarea
+        autoFocus
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => e.key === "Escape" && onCancel()}
+        className="min-h-[56px] max-h-[160px] resize-y"
+      />
+      <div className="flex justify-end gap-2">
+        <Button type="button" size="sm" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          onClick={() => onSave(text)}
+          disabled={!canSave}
+        >
+          <Send className="mr-1 h-3.5 w-3.5" />
+          Send
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function parseToolOutput(output) {
+  if (typeof output !== "string") return output;
+  try {
+    return JSON.parse(output);
+  } catch (_) {
+    return null;
+  }
+}
+
+// Number of rows being paged: groups for an aggregation, else records
+function pagedTotal(result) {
+  return result.total_groups ?? result.total_records;
+}
+
+// Appends a page from /api/results to a paged tool result
+function mergeResultPage(current, page) {
+  const key = Array.isArray(page.rows) ? "rows" : "result";
+  const { next_cursor: _, ...rest } = current;
+  const returned = (current.returned ?? 0) + (page.returned ?? 0);
+  return {
+    ...rest,
+    returned,
+    message: `Loaded ${returned} of ${
+      pagedTotal(current) ?? pagedTotal(page)
+    } ${key === "result" ? "groups" : "records"}.`,
+    ...(page.next_cursor ? { next_cursor: page.next_cursor } : {}),
+    [key]: [...(current[key] ?? []), ...(page[key] ?? [])],
+  };
+}
+
+// Tool result with a "Load more" control while the result has a next_cursor,
+// and CSV/XLSX downloads of all its rows when it is a table
+function PagedToolOutput({ output, exportParams }) {
+  const initial = useMemo(() => parseToolOutput(output), [output]);
+  const [loaded, setLoaded] = useState(null); // result with the extra pages merged in
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const current = loaded ?? initial;
+  const cursor = current?.next_cursor;
+  const exportable = useMemo(
+    () => Boolean(exportParams && tableFromOutput(initial)),
+    [exportParams, initial]
+  );
+
+  async function loadMore() {
+    setLoadingMore(true);
+    setError("");
+    try {
+      const res = await fetch(
+        `/api/results?cursor=${encodeURIComponent(cursor)}`
+      );
+      const page = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw new Error(page?.error || `Failed to load more: ${res.status}`);
+      }
+      setLoaded(mergeResultPage(current, page));
+    } catch (err) {
+      setError(err?.message || "Failed to load more.");
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  return (
+    <ToolOutput output={loaded ?? output}>
+      {(cursor || exportable) && (
+        <div className="flex flex-wrap items-center gap-2">
+          {cursor && (
+            <>
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                onClick={loadMore}
+                disabled={loadingMore}
+              >
+                {loadingMore ? "Loading…" : "Load more"}
+              </Button>
+              <span className="text-xs text-muted-foreground">
+                {current.returned} of {pagedTotal(current)}
+              </span>
+            </>
+          )}
+          {exportable && (
+            <div className="ml-auto flex items-center gap-2">
+              {["csv", "xlsx"].map((format) => (
+                <Button key={format} asChild size="sm" variant="ghost">
+                  <a
+                    href={exportUrl(exportParams.threadId, {
+                      toolCallId: exportParams.toolCallId,
+                      format,
+                    })}
+                    download
+                  >
+                    <Download className="h-3.5 w-3.5" />
+                    {format.toUpperCase()}
+                  </a>
+                </Button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      {error && <p className="text-xs text-destructive">{error}</p>}
+    </ToolOutput>
+  );
+}
+
+// Drawn charts replace their tool call; failed ones stay listed with the error.
+// The server sends a chart's plotted spec as the call's artifact; older calls
+// carried their data in the input
+const isDrawnChart = (toolCall) =>
+  toolCall.name === "renderChart" && toolCall.state === "output-available";
+
+// Why a tool call needs approval, with the buttons that resume the run
+function ToolApproval({ reasons = [], onDecide, disabled }) {
+  return (
+    <div className="space-y-2 p-4 pt-0">
+      <h4 className="font-medium text-muted-foreground text-xs uppercase tracking-wide">
+        Approval needed
+      </h4>
+      <ul className="list-disc space-y-0.5 pl-4 text-sm">
+        {reasons.map((reason) => (
+          <li key={reason}>{reason}</li>
+        ))}
+      </ul>
+      <div className="flex items-center gap-2">
+        <Button
+          type="button"
+          size="sm"
+          onClick={() => onDecide(true)}
+          disabled={disabled}
+        >
+          <Check className="mr-1 h-3.5 w-3.5" />
+          Approve
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          onClick={() => onDecide(false)}
+          disabled={disabled}
+        >
+          <X className="mr-1 h-3.5 w-3.5" />
+          Deny
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function MessageBubble({
+  role,
+  content,
+  time,
+  tools = [],
+  model,
+  threadId,
+  onDecide,
+  disabled,
+}) {
   const isUser = role === "user";
+  const charts = isUser ? [] : tools.filter(isDrawnChart);
+  const toolCalls = isUser ? [] : tools.filter((t) => !isDrawnChart(t));
   return (
     <div
       className={cn(
@@ -400,23 +1239,55 @@ function MessageBubble({ role, content, time, tools = [] }) {
         ) : (
           <div className="overflow-x-auto max-w-full">
             <Response>{content}</Response>
+            {charts.map((toolCall, i) => (
+              <Chart
+                key={toolCall.toolCallId || i}
+                spec={toolCall.artifact ?? toolCall.input}
+              />
+            ))}
           </div>
         )}
       </div>
-      {!isUser && Array.isArray(tools) && tools.length > 0 && (
+      {toolCalls.length > 0 && (
         <div className="mt-2 space-y-2">
-          {tools.map((toolCall, i) => (
-            <Tool key={toolCall.toolCallId || i}>
+          {toolCalls.map((toolCall, i) => (
+            <Tool
+              key={toolCall.toolCallId || i}
+              defaultOpen={toolCall.state === "approval-requested"}
+            >
               <ToolHeader
                 state={toolCall.state}
                 type={toolCall.name || toolCall.type}
               />
               <ToolContent>
                 <ToolInput input={toolCall.input} />
+                {toolCall.state === "approval-requested" && (
+                  <ToolApproval
+                    reasons={toolCall.approval?.reasons}
+                    onDecide={(approved) =>
+                      onDecide?.(toolCall.toolCallId, approved)
+                    }
+                    disabled={disabled}
+                  />
+                )}
+                {toolCall.state === "output-denied" && (
+                  <p className="p-4 pt-0 text-muted-foreground text-xs">
+                    You denied this request, so it was not run.
+                  </p>
+                )}
                 {toolCall.state === "output-available" && (
-                  <ToolOutput
-                    errorText={toolCall.errorText}
+                  <PagedToolOutput
                     output={toolCall.output}
+                    exportParams={
+                      threadId && toolCall.toolCallId
+                        ? { threadId, toolCallId: toolCall.toolCallId }
+                        : null
+                    }
+                  />
+                )}
+                {toolCall.state === "output-error" && (
+                  <ToolOutput
+                    errorText={toolCall.errorText || "The tool call failed."}
                   />
                 )}
               </ToolContent>
@@ -431,6 +1302,13 @@ function MessageBubble({ role, content, time, tools = [] }) {
         )}
       >
         {time}
+        {!isUser && model?.model && (
+          <span title={model.fallback ? "Primary model was rate-limited" : ""}>
+            {time ? " · " : ""}
+            {model.model}
+            {model.fallback ? " (fallback)" : ""}
+          </span>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,255 @@
+"use client";
+import { normalizeChart } from "@/lib/chartSpec";
+import { cn } from "@/lib/utils";
+import { useMemo } from "react";
+import { formatCell } from "./data-table";
+
+const WIDTH = 640;
+const HEIGHT = 300;
+const MARGIN = { top: 16, right: 16, bottom: 64, left: 72 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+const colorAt = (i) => `var(--chart-${(i % 5) + 1})`;
+
+const compactNumber = new Intl.NumberFormat("en-IN", {
+  notation: "compact",
+  maximumFractionDigits: 1,
+});
+
+const shorten = (label, max = 14) =>
+  label.length > max ? `${label.slice(0, max - 1)}…` : label;
+
+// Round axis bounds and about five ticks between them
+function niceTicks(min, max, count = 5) {
+  if (min === max) max = min + 1;
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step =
+    [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rough) ??
+    rough;
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step / 2; v += step) {
+    ticks.push(Math.round(v * 1e6) / 1e6);
+    if (v >= max) break;
+  }
+  return ticks;
+}
+
+function Legend({ items }) {
+  return (
+    <div className="flex flex-wrap gap-x-3 gap-y-1 px-2 text-xs">
+      {items.map(({ name, detail }, i) => (
+        <span className="flex items-center gap-1" key={name}>
+          <span
+            className="inline-block size-2.5 rounded-sm"
+            style={{ background: colorAt(i) }}
+          />
+          {name}
+          {detail && <span className="text-muted-foreground">{detail}</span>}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function CartesianChart({ chart }) {
+  const { type, categories, series } = chart;
+  const values = series.flatMap((s) => s.values).filter((v) => v !== null);
+  const ticks = niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+  const [low, high] = [ticks[0], ticks.at(-1)];
+  const yAt = (v) => MARGIN.top + PLOT_HEIGHT * (1 - (v - low) / (high - low));
+  const band = PLOT_WIDTH / categories.length;
+  const xAt = (i) => MARGIN.left + band * (i + 0.5);
+  const labelEvery = Math.ceil(categories.length / 16);
+  const format = (name, v) =>
+    formatCell(chart.yFields.length > 1 ? name : chart.yFields[0], v);
+  const barWidth = Math.min(40, (band * 0.8) / series.length);
+
+  return (
+    <svg className="w-full" role="img" viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line
+            stroke="currentColor"
+            strokeOpacity={tick === 0 ? 0.4 : 0.1}
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={yAt(tick)}
+            y2={yAt(tick)}
+          />
+          <text
+            className="fill-muted-foreground text-[10px]"
+            dominantBaseline="middle"
+            textAnchor="end"
+            x={MARGIN.left - 6}
+            y={yAt(tick)}
+          >
+            {compactNumber.format(tick)}
+          </text>
+        </g>
+      ))}
+      {categories.map((category, i) =>
+        i % labelEvery === 0 ? (
+          <text
+            className="fill-muted-foreground text-[10px]"
+            key={category}
+            textAnchor="end"
+            transform={`translate(${xAt(i)}, ${
+              HEIGHT - MARGIN.bottom + 12
+            }) rotate(-35)`}
+          >
+            {shorten(category)}
+          </text>
+        ) : null
+      )}
+      {series.map((s, si) =>
+        type === "line" ? (
+          <g key={s.name}>
+            <polyline
+              fill="none"
+              points={s.values
+                .map((v, i) => (v === null ? null : `${xAt(i)},${yAt(v)}`))
+                .filter(Boolean)
+                .join(" ")}
+              stroke={colorAt(si)}
+              strokeWidth={2}
+            />
+            {s.values.map((v, i) =>
+              v === null ? null : (
+                <circle
+                  cx={xAt(i)}
+                  cy={yAt(v)}
+                  fill={colorAt(si)}
+                  key={i}
+                  r={3}
+                >
+                  <title>{`${categories[i]} · ${s.name}: ${format(
+                    s.name,
+                    v
+                  )}`}</title>
+                </circle>
+              )
+            )}
+          </g>
+        ) : (
+          <g key={s.name}>
+            {s.values.map((v, i) =>
+              v === null ? null : (
+                <rect
+                  fill={colorAt(si)}
+                  height={Math.abs(yAt(v) - yAt(0))}
+                  key={i}
+                  rx={2}
+                  width={barWidth}
+                  x={xAt(i) - (barWidth * series.length) / 2 + barWidth * si}
+                  y={Math.min(yAt(v), yAt(0))}
+                >
+                  <title>{`${categories[i]} · ${s.name}: ${format(
+                    s.name,
+                    v
+                  )}`}</title>
+                </rect>
+              )
+            )}
+          </g>
+        )
+      )}
+    </svg>
+  );
+}
+
+function PieChart({ chart }) {
+  const [{ values }] = chart.series;
+  const slices = chart.categories
+    .map((name, i) => ({ name, value: values[i] ?? 0 }))
+    .filter(({ value }) => value > 0);
+  const total = slices.reduce((sum, { value }) => sum + value, 0);
+  const radius = 110;
+  const center = { x: WIDTH / 2, y: HEIGHT / 2 };
+
+  let angle = -Math.PI / 2;
+  const arcs = slices.map(({ name, value }, i) => {
+    const start = angle;
+    const sweep = (value / total) * 2 * Math.PI;
+    angle += sweep;
+    const point = (a) =>
+      `${center.x + radius * Math.cos(a)},${center.y + radius * Math.sin(a)}`;
+    // A single full-circle slice cannot be drawn as an arc
+    const d =
+      slices.length === 1
+        ? `M ${center.x - radius},${center.y} a ${radius},${radius} 0 1,0 ${
+            radius * 2
+          },0 a ${radius},${radius} 0 1,0 ${-radius * 2},0`
+        : `M ${center.x},${center.y} L ${point(
+            start
+          )} A ${radius},${radius} 0 ${sweep > Math.PI ? 1 : 0},1 ${point(
+            angle
+          )} Z`;
+    return (
+      <path d={d} fill={colorAt(i)} key={name} stroke="var(--background)">
+        <title>{`${name}: ${formatCell(chart.yFields[0], value)} (${Math.round(
+          (value / total) * 100
+        )}%)`}</title>
+      </path>
+    );
+  });
+
+  return (
+    <>
+      <svg className="w-full" role="img" viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+        {arcs}
+      </svg>
+      <Legend
+        items={slices.map(({ name, value }) => ({
+          name,
+          detail: `${Math.round((value / total) * 100)}%`,
+        }))}
+      />
+    </>
+  );
+}
+
+/**
+ * Draws a renderChart spec (see chartSpec.js) as an SVG line, bar or pie
+ * chart. An invalid spec renders as a short error instead.
+ */
+export const Chart = ({ spec, className, ...props }) => {
+  const { chart, error } = useMemo(() => {
+    try {
+      return { chart: normalizeChart(spec) };
+    } catch (e) {
+      return { error: e?.message || "Invalid chart" };
+    }
+  }, [spec]);
+
+  return (
+    <figure
+      className={cn(
+        "not-prose my-2 space-y-1 rounded-md border p-2",
+        className
+      )}
+      {...props}
+    >
+      {chart?.title && (
+        <figcaption className="px-2 font-medium text-sm">
+          {chart.title}
+        </figcaption>
+      )}
+      {error ? (
+        <p className="px-2 text-destructive text-xs">
+          Chart unavailable: {error}
+        </p>
+      ) : chart.type === "pie" ? (
+        <PieChart chart={chart} />
+      ) : (
+        <>
+          <CartesianChart chart={chart} />
+          {chart.series.length > 1 && (
+            <Legend items={chart.series.map(({ name }) => ({ name }))} />
+          )}
+        </>
+      )}
+    </figure>
+  );
+};
@@ -0,0 +1,179 @@
+"use client";
+import { Button } from "@/components/ui/button";
+import { toNumber } from "@/lib/numberUtils";
+import { cn } from "@/lib/utils";
+import {
+  ArrowDownIcon,
+  ArrowUpDownIcon,
+  ArrowUpIcon,
+  Columns3Icon,
+} from "lucide-react";
+import { useMemo, useState } from "react";
+
+// Amount fields of the sales APIs, also inside metric names like sum_TOTAL_SALES
+const CURRENCY_FIELD = /TOTAL_ORDER_VALUE|TOTAL_SALES/;
+
+const currencyFormat = new Intl.NumberFormat("en-IN", {
+  style: "currency",
+  currency: "INR",
+  maximumFractionDigits: 2,
+});
+const numberFormat = new Intl.NumberFormat("en-IN", {
+  maximumFractionDigits: 2,
+});
+
+// The APIs send many amounts as numeric strings, so those count as numbers too
+export function formatCell(column, value) {
+  if (value === null || value === undefined || value === "") return "—";
+  const number = toNumber(value);
+  if (number !== null) {
+    return CURRENCY_FIELD.test(column) && !/^count/.test(column)
+      ? currencyFormat.format(number)
+      : numberFormat.format(number);
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === "") return 1;
+  if (b === null || b === undefined || b === "") return -1;
+  const numberA = toNumber(a);
+  const numberB = toNumber(b);
+  if (numberA !== null && numberB !== null) return numberA - numberB;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+const NEXT_DIRECTION = { undefined: "asc", asc: "desc", desc: undefined };
+
+export const DataTable = ({ rows, columns, className, ...props }) => {
+  const [sort, setSort] = useState({ column: null, direction: undefined });
+  const [hidden, setHidden] = useState(() => new Set());
+  const [pickerOpen, setPickerOpen] = useState(false);
+
+  const sortedRows = useMemo(() => {
+    if (!sort.direction) return rows;
+    const sign = sort.direction === "asc" ? 1 : -1;
+    return [...rows].sort(
+      (a, b) => sign * compareValues(a[sort.column], b[sort.column])
+    );
+  }, [rows, sort]);
+
+  const visibleColumns = columns.filter((column) => !hidden.has(column));
+
+  const toggleSort = (column) =>
+    setSort((current) => {
+      const direction =
+        current.column === column
+          ? NEXT_DIRECTION[current.direction]
+          : "asc";
+      return { column: direction ? column : null, direction };
+    });
+
+  const toggleColumn = (column) =>
+    setHidden((current) => {
+      const next = new Set(current);
+      if (next.has(column)) next.delete(column);
+      // Keep at least one column on screen
+      else if (visibleColumns.length > 1) next.add(column);
+      return next;
+    });
+
+  return (
+    <div className={cn("space-y-2", className)} {...props}>
+      <div className="flex items-center justify-between gap-2 px-2 pt-2">
+        <span className="text-muted-foreground">
+          {rows.length} {rows.length === 1 ? "row" : "rows"}
+        </span>
+        <Button
+          className="h-6 px-2 text-xs"
+          onClick={() => setPickerOpen((open) => !open)}
+          size="sm"
+          type="button"
+          variant="ghost"
+        >
+          <Columns3Icon className="size-3.5" />
+          Columns
+        </Button>
+      </div>
+      {pickerOpen && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 px-2">
+          {columns.map((column) => (
+            <label className="flex items-center gap-1" key={column}>
+              <input
+                checked={!hidden.has(column)}
+                onChange={() => toggleColumn(column)}
+                type="checkbox"
+              />
+              {column}
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="max-h-96 overflow-auto">
+        <table className="w-full border-collapse">
+          <thead className="sticky top-0 bg-muted">
+            <tr>
+              {visibleColumns.map((column) => {
+                const direction =
+                  sort.column === column ? sort.direction : undefined;
+                const SortIcon =
+                  direction === "asc"
+                    ? ArrowUpIcon
+                    : direction === "desc"
+                    ? ArrowDownIcon
+                    : ArrowUpDownIcon;
+                return (
+                  <th
+                    aria-sort={
+                      direction === "asc"
+                        ? "ascending"
+                        : direction === "desc"
+                        ? "descending"
+                        : "none"
+                    }
+                    className="whitespace-nowrap border-b px-2 py-1 text-left font-medium"
+                    key={column}
+                  >
+                    <button
+                      className="flex items-center gap-1"
+                      onClick={() => toggleSort(column)}
+                      type="button"
+                    >
+                      {column}
+                      <SortIcon
+                        className={cn(
+                          "size-3",
+                          !direction && "text-muted-foreground"
+                        )}
+                      />
+                    </button>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map((row, i) => (
+              <tr className="border-b last:border-0" key={i}>
+                {visibleColumns.map((column) => (
+                  <td
+                    className={cn(
+                      "whitespace-nowrap px-2 py-1",
+                      toNumber(row[column]) !== null &&
+                        "text-right tabular-nums"
+                    )}
+                    key={column}
+                  >
+                    {formatCell(column, row[column])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
@@ -5,17 +5,21 @@ import {
   CollapsibleContent,
   CollapsibleTrigger,
 } from "@/components/ui/collapsible";
+import { tableFromOutput } from "@/lib/resultTables";
 import { cn } from "@/lib/utils";
 import {
+  BracesIcon,
   CheckCircleIcon,
   ChevronDownIcon,
   CircleIcon,
   ClockIcon,
+  TableIcon,
   WrenchIcon,
   XCircleIcon,
 } from "lucide-react";
-import { isValidElement } from "react";
+import { isValidElement, useMemo, useState } from "react";
 import { CodeBlock } from "./code-block";
+import { DataTable } from "./data-table";
 
 export const Tool = ({ className, ...props }) => (
   <Collapsible
@@ -93,7 +97,19 @@ export const ToolInput = ({ className, input, ...props }) => (
   </div>
 );
 
-export const ToolOutput = ({ className, output, errorText, ...props }) => {
+export const ToolOutput = ({
+  className,
+  output,
+  errorText,
+  children,
+  ...props
+}) => {
+  const table = useMemo(
+    () => (errorText || isValidElement(output) ? null : tableFromOutput(output)),
+    [output, errorText]
+  );
+  const [view, setView] = useState("table");
+
   if (!(output || errorText)) {
     return null;
   }
@@ -110,9 +126,35 @@ export const ToolOutput = ({ className, output, errorText, ...props }) => {
 
   return (
     <div className={cn("space-y-2 p-4", className)} {...props}>
-      <h4 className="font-medium text-muted-foreground text-xs uppercase tracking-wide">
-        {errorText ? "Error" : "Result"}
-      </h4>
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-muted-foreground text-xs uppercase tracking-wide">
+          {errorText ? "Error" : "Result"}
+        </h4>
+        {table && (
+          <div className="flex gap-1">
+            {[
+              ["table", TableIcon, "Table"],
+              ["json", BracesIcon, "JSON"],
+            ].map(([value, Icon, label]) => (
+              <button
+                aria-pressed={view === value}
+                className={cn(
+                  "flex items-center gap-1 rounded px-1.5 py-0.5 text-xs",
+                  view === value
+                    ? "bg-muted text-foreground"
+                    : "text-muted-foreground hover:text-foreground"
+                )}
+                key={value}
+                onClick={() => setView(value)}
+                type="button"
+              >
+                <Icon className="size-3" />
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
       <div
         className={cn(
           "overflow-x-auto rounded-md text-xs [&_table]:w-full",
@@ -122,8 +164,13 @@ export const ToolOutput = ({ className, output, errorText, ...props }) => {
         )}
       >
         {errorText && <div>{errorText}</div>}
-        {Output}
+        {table && view === "table" ? (
+          <DataTable columns={table.columns} rows={table.rows} />
+        ) : (
+          Output
+        )}
       </div>
+      {children}
     </div>
   );
 };
@@ -0,0 +1,171 @@
+// src/lib/agentErrors.js
+
+/**
+ * Failure classes of an agent run, with the HTTP status the chat API answers
+ * with and the message shown to the user.
+ */
+export const AGENT_ERROR_TYPES = {
+  bad_request: {
+    status: 400,
+    message: "A non-empty user message is required.",
+  },
+  unauthenticated: {
+    status: 401,
+    message: "Please sign in to use the assistant.",
+  },
+  approval_pending: {
+    status: 409,
+    message:
+      "A data request is waiting for your approval. Approve or deny it before sending a new message.",
+  },
+  auth: {
+    status: 401,
+    message:
+      "The assistant could not authenticate with the language model provider. Please contact the administrator.",
+  },
+  context_too_long: {
+    status: 413,
+    message:
+      "This conversation has grown too long for the model. Please start a new chat.",
+  },
+  safety_blocked: {
+    status: 422,
+    message:
+      "The response was blocked by the model's safety filters. Try rephrasing your question.",
+  },
+  rate_limited: {
+    status: 429,
+    message: "I've hit the API rate limit. Please wait a moment and try again.",
+  },
+  internal: {
+    status: 500,
+    message: "Sorry, something went wrong while generating a response.",
+  },
+  tool_failure: {
+    status: 502,
+    message:
+      "The data tools failed while answering. Please try again or ask for more specific data.",
+  },
+};
+
+// Used when a rate-limited provider does not say how long to wait
+const DEFAULT_RETRY_AFTER_SECONDS = 30;
+
+export class AgentError extends Error {
+  constructor(type, { message, retryAfter, requestId, cause } = {}) {
+    const spec = AGENT_ERROR_TYPES[type] ?? AGENT_ERROR_TYPES.internal;
+    super(message ?? spec.message, { cause });
+    this.name = "AgentError";
+    this.type = AGENT_ERROR_TYPES[type] ? type : "internal";
+    this.status = spec.status;
+    this.retryAfter = retryAfter;
+    this.requestId = requestId;
+  }
+
+  /**
+   * Body sent to the client, in JSON responses and SSE error events alike.
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      status: this.status,
+      ...(this.retryAfter ? { retryAfter: this.retryAfter } : {}),
+      ...(this.requestId ? { requestId: this.requestId } : {}),
+    };
+  }
+}
+
+function statusOf(error) {
+  const status = error?.status ?? error?.response?.status ?? error?.statusCode;
+  return typeof status === "number" ? status : undefined;
+}
+
+/**
+ * Seconds the provider asked us to wait, from a Retry-After header, Gemini's
+ * RetryInfo detail or a "retry in 38s" message.
+ */
+export function retryAfterOf(error) {
+  const headers = error?.headers ?? error?.response?.headers;
+  const header =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  if (header && Number.isFinite(Number(header))) return Number(header);
+
+  const retryInfo = (
+    Array.isArray(error?.errorDetails) ? error.errorDetails : []
+  ).find((detail) => typeof detail?.retryDelay === "string");
+  const fromDetails = retryInfo && parseFloat(retryInfo.retryDelay);
+  if (fromDetails) return fromDetails;
+
+  const fromMessage = String(error?.message ?? "").match(
+    /retry (?:in|after) (\d+(?:\.\d+)?)\s*s/i
+  );
+  return fromMessage ? Number(fromMessage[1]) : undefined;
+}
+
+/**
+ * Classifies whatever an agent run threw. Structured fields (LangChain's
+ * lc_error_code, HTTP status, provider error codes) win; message patterns are
+ * only a fallback for providers that report nothing else.
+ */
+export function classifyAgentError(error, { requestId } = {}) {
+  if (error instanceof AgentError) {
+    if (requestId && !error.requestId) error.requestId = requestId;
+    return error;
+  }
+
+  const status = statusOf(error);
+  const code = String(error?.lc_error_code ?? error?.code ?? "");
+  const message = String(error?.message ?? "");
+  const make = (type, extra = {}) =>
+    new AgentError(type, { requestId, cause: error, ...extra });
+
+  if (
+    code === "MODEL_RATE_LIMIT" ||
+    code === "rate_limit_exceeded" ||
+    code === "insufficient_quota" ||
+    status === 429 ||
+    /\b429\b|quota|rate limit|resource.?exhausted/i.test(message)
+  ) {
+    const retryAfter = Math.ceil(
+      retryAfterOf(error) ?? DEFAULT_RETRY_AFTER_SECONDS
+    );
+    return make("rate_limited", { retryAfter });
+  }
+  if (
+    code === "MODEL_AUTHENTICATION" ||
+    status === 401 ||
+    status === 403 ||
+    /api key not valid|invalid api key|unauthenticated|permission denied/i.test(
+      message
+    )
+  ) {
+    return make("auth");
+  }
+  if (
+    code === "context_length_exceeded" ||
+    status === 413 ||
+    /context length|context window|too many tokens|input token count|maximum context/i.test(
+      message
+    )
+  ) {
+    return make("context_too_long");
+  }
+  if (
+    /blocked due to (safety|prohibited|blocklist)|response was blocked|finishReason\W{0,3}SAFETY/i.test(
+      message
+    )
+  ) {
+    return make("safety_blocked");
+  }
+  if (
+    code === "INVALID_TOOL_RESULTS" ||
+    code === "GRAPH_RECURSION_LIMIT" ||
+    /Unknown content/i.test(message)
+  ) {
+    return make("tool_failure");
+  }
+  return make("internal");
+}
@@ -1,7 +1,53 @@
 // src/lib/agentTools.js
 
+import { ToolMessage } from "@langchain/core/messages";
 import { tool } from "@langchain/core/tools";
+import { getCurrentTaskInput } from "@langchain/langgraph";
 import { z } from "zod";
+import {
+  ENDPOINTS,
+  ENDPOINT_NAMES,
+  buildEndpointUrl,
+  buildParamsSchema,
+  describeEndpoints,
+  joinedFieldTypes,
+} from "./endpointRegistry.js";
+import {
+  dateRangeFilter,
+  filterFields,
+  matchesFilters,
+} from "./queryFilters.js";
+import { DATE_INTERVALS, PERIOD_EXPRESSIONS } from "./dateUtils.js";
+import { METRIC_OPS, performAggregation } from "./aggregation.js";
+import { joinRecords } from "./joins.js";
+import { apiCache } from "./responseCache.js";
+import { cacheTtlOverride } from "./config.js";
+import { fetchJson } from "./httpClient.js";
+import { redactRecords, redactToolResult } from "./redaction.js";
+import {
+  MAX_CHART_POINTS,
+  chartFields,
+  chartSpecSchema,
+  normalizeChart,
+} from "./chartSpec.js";
+import { continuePage, shapeAggregation, shapeRows } from "./resultShaping.js";
+import {
+  decodeCursor,
+  encodeCursor,
+  resultSnapshots,
+} from "./resultSnapshots.js";
+import {
+  DIRECTORY_ENDPOINT,
+  enforceScope,
+  resolveUserScope,
+  scopeRows,
+} from "./dataScope.js";
+import { ToolError, classifyToolError, toolErrorResult } from "./toolErrors.js";
+import {
+  approvalReasons,
+  deniedResult,
+  requestApproval,
+} from "./toolApproval.js";
 import { configDotenv } from "dotenv";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
@@ -10,26 +56,53 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 configDotenv({ path: path.resolve(__dirname, "../.env") });
 
-const monthlySalesURL = process.env.MONTHLY_SALES_API;
-const topDistributorsURL = process.env.TOP_DISTRIBUTORS_API;
-const employeeDataURL = process.env.EMPLOYEE_DATA_API;
-const currentFinancialYearOrderHistoryURL =
-  "https://suprsales.in:5034/suprsales_api/Order/getCurrentFinancialYearOrder";
+/**
+ * Fetches an endpoint's records through the shared response cache, keyed by
+ * the resolved URL. Records are redacted before they are cached, so nothing
+ * downstream (filters, joins, the disk cache) sees sensitive fields.
+ * Returns a fresh array so callers may sort it in place.
+ */
+async function fetchRecords(endpoint, params, signal) {
+  const url = buildEndpointUrl(endpoint, params);
+  const ttlSeconds = cacheTtlOverride(endpoint) ?? ENDPOINTS[endpoint].cacheTtl;
+  const data = await apiCache.getOrFetch(
+    `${endpoint}:${url}`,
+    ttlSeconds * 1000,
+    async (fetchSignal) => {
+      const body = await fetchJson(url, {
+        signal: fetchSignal,
+        breakerKey: endpoint,
+      });
+      return redactRecords(endpoint, Array.isArray(body) ? body : [body]);
+    },
+    { signal }
+  );
+  return [...data];
+}
 
 /**
  * Universal API query function that handles multiple data endpoints
- * Optimized to prevent token limit issues and rate limiting
+ * Results larger than the token budget are summarized and paged; the rest is
+ * kept as a snapshot that fetchNextPage reads through the returned cursor.
+ * The optional abort signal cancels the upstream fetch when the agent run is stopped.
+ * Rows are limited to the employees `user` may see (see dataScope.js).
+ * Failures are thrown; the tool wrapper turns them into typed tool errors.
  */
-async function queryApiData({
-  endpoint,
-  params = {},
-  fields = null,
-  filters = {},
-  topK = null,
-  sortBy = null,
-  sortOrder = "desc",
-  aggregation = null, // NEW: {type: 'count'|'sum'|'group', field?: string, groupBy?: string}
-}) {
+async function queryApiData(
+  {
+    endpoint,
+    params = {},
+    fields = null,
+    filters = {},
+    topK = null,
+    sortBy = null,
+    sortOrder = "desc",
+    aggregation = null, // {groupBy?, interval?, metrics?, having?, sort?, limit?} or legacy {type, field?, groupBy?}
+    dateRange = null, // {field?, period?, from?, to?}
+    join = null, // [{endpoint, fields?, params?, inner?}]
+  },
+  { signal, user } = {}
+) {
   console.log(
     `Tool Call: queryApiData(` +
       `endpoint=${endpoint}, ` +
@@ -39,222 +112,148 @@ async function queryApiData({
       `topK=${topK}, ` +
       `sortBy=${sortBy}, ` +
       `sortOrder=${sortOrder}, ` +
-      `aggregation=${JSON.stringify(aggregation)}` +
+      `aggregation=${JSON.stringify(aggregation)}, ` +
+      `dateRange=${JSON.stringify(dateRange)}, ` +
+      `join=${JSON.stringify(join)}` +
       `)`
   );
 
-  const endpoints = {
-    monthly_sales: (empId) => `${monthlySalesURL}${empId}`,
-    top_distributors: (empId) => `${topDistributorsURL}${empId}`,
-    employee_data: () => employeeDataURL,
-    order_history: () => currentFinancialYearOrderHistoryURL,
-  };
-
-  // Default limits to prevent massive data dumps
-  const defaultLimits = {
-    monthly_sales: 12, // Max 12 months
-    top_distributors: 20, // Max 20 distributors
-    employee_data: 50, // Max 50 employees
-    order_history: 100, // Max 100 orders (only when no filters are applied)
-  };
-
-  try {
-    if (!endpoints[endpoint]) {
-      throw new Error(`Unsupported endpoint: ${endpoint}`);
-    }
-
-    const url = endpoints[endpoint](params?.empId);
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-
-    let data = await response.json();
-    if (!Array.isArray(data)) data = [data];
-
-    // Apply filters FIRST (before topK limiting)
-    const hasFilters = !!(filters && Object.keys(filters).length > 0);
-    if (hasFilters) {
-      data = data.filter((item) => {
-        return Object.entries(filters).every(([key, value]) => {
-          if (value && typeof value === "object") {
-            if (value.$gt !== undefined && !(item[key] > value.$gt))
-              return false;
-            if (value.$lt !== undefined && !(item[key] < value.$lt))
-              return false;
-            return true;
-          }
-          return item[key] === value;
-        });
-      });
-    }
+  const openCursor = (snapshot, offset) =>
+    encodeCursor(resultSnapshots.save(snapshot, user?.empId), offset);
+  const mentioned = [
+    ...filterFields(filters),
+    ...(sortBy ? [sortBy] : []),
+    ...(dateRange?.field ? [dateRange.field] : []),
+  ];
 
-    // Handle aggregation BEFORE topK
-    if (aggregation) {
-      return JSON.stringify(
-        performAggregation(data, aggregation, endpoint, hasFilters)
+  const spec = ENDPOINTS[endpoint];
+  if (!spec) {
+    throw new ToolError(
+      "unknown_endpoint",
+      `Unsupported endpoint: ${endpoint}. Available: ${ENDPOINT_NAMES.join(
+        ", "
+      )}`
+    );
+  }
+  const joins = join ? [].concat(join) : [];
+  for (const { endpoint: target } of joins) {
+    if (!spec.joins[target]) {
+      const declared = Object.keys(spec.joins);
+      throw new ToolError(
+        "validation",
+        `${endpoint} cannot be joined with ${target}. Declared joins: ${
+          declared.join(", ") || "none"
+        }`,
+        { declared_joins: declared }
       );
     }
+  }
 
-    // Apply topK limit
-    const shouldApplyDefaultCap = !hasFilters || endpoint !== "order_history";
-    const effectiveTopK =
-      topK || (shouldApplyDefaultCap ? defaultLimits[endpoint] : null);
-    if (effectiveTopK && effectiveTopK > 0) {
-      data = data.slice(0, effectiveTopK);
-    }
-
-    if (sortBy && data.length > 0) {
-      data.sort((a, b) => {
-        const aVal = a?.[sortBy] ?? 0;
-        const bVal = b?.[sortBy] ?? 0;
-        return sortOrder === "desc" ? bVal - aVal : aVal - bVal;
-      });
-    }
+  const scope = await resolveUserScope(user, () =>
+    fetchRecords(DIRECTORY_ENDPOINT, {}, signal)
+  );
+  enforceScope(endpoint, { params, filters }, scope);
+  for (const j of joins) enforceScope(j.endpoint, { params: j.params }, scope);
 
-    if (fields && Array.isArray(fields)) {
-      data = data.map((item) => {
-        const projected = {};
-        for (const field of fields) {
-          if (Object.prototype.hasOwnProperty.call(item, field)) {
-            projected[field] = item[field];
-          }
-        }
-        return projected;
-      });
-    }
+  const [base, ...related] = (
+    await Promise.all([
+      fetchRecords(endpoint, params, signal),
+      ...joins.map((j) => fetchRecords(j.endpoint, j.params, signal)),
+    ])
+  ).map((rows, i) =>
+    scopeRows(i === 0 ? endpoint : joins[i - 1].endpoint, rows, scope)
+  );
+  let data = base;
 
-    // For large datasets, provide summary
-    if (data.length > 50 && !topK && !aggregation) {
-      const summary = {
-        total_records: data.length,
-        sample_data: data.slice(0, 5),
-        message: `Showing first 5 of ${data.length} records. Use filters, topK, or aggregation for specific results.`,
-      };
-      return JSON.stringify(summary);
-    }
+  // Joins come first so filters and aggregation can use the related fields
+  joins.forEach((j, i) => {
+    data = joinRecords(data, related[i], {
+      target: j.endpoint,
+      ...spec.joins[j.endpoint],
+      fields: j.fields,
+      inner: j.inner,
+    });
+  });
+  const fieldTypes = joinedFieldTypes(
+    endpoint,
+    joins.map((j) => j.endpoint)
+  );
 
-    return JSON.stringify(data);
-  } catch (error) {
-    console.error("Error in queryApiData:", error);
-    return JSON.stringify({ error: error.message, data: [] });
+  // A date range is just another filter condition on the endpoint's date field
+  if (dateRange) {
+    filters = {
+      ...filters,
+      $and: [...(filters?.$and ?? []), dateRangeFilter(dateRange, fieldTypes)],
+    };
   }
-}
 
-/**
- * Performs aggregation operations on data
- */
-function performAggregation(data, aggregation, endpoint, hasFilters) {
-  const { type, field, groupBy } = aggregation;
-
-  if (type === "count") {
-    return {
-      query_type: "count",
-      total_records: data.length,
-      data_source: endpoint,
-      had_filters: hasFilters,
-      result: data.length,
-    };
+  // Apply filters FIRST (before topK limiting)
+  const hasFilters = !!(filters && Object.keys(filters).length > 0);
+  if (hasFilters) {
+    data = data.filter((item) => matchesFilters(item, filters, fieldTypes));
   }
 
-  if (type === "sum" && field) {
-    const sum = data.reduce(
-      (acc, item) => acc + (parseFloat(item[field]) || 0),
-      0
+  // Handle aggregation BEFORE topK
+  if (aggregation) {
+    return JSON.stringify(
+      shapeAggregation(
+        performAggregation(data, aggregation, {
+          endpoint,
+          hasFilters,
+          fieldTypes,
+        }),
+        { openCursor }
+      )
     );
-    return {
-      query_type: "sum",
-      field: field,
-      total_records: data.length,
-      data_source: endpoint,
-      had_filters: hasFilters,
-      result: sum,
-    };
   }
 
-  if (type === "group" && groupBy) {
-    const grouped = {};
-    data.forEach((item) => {
-      const key = item[groupBy];
-      if (!grouped[key]) {
-        grouped[key] = {
-          count: 0,
-          items: [],
-        };
-      }
-      grouped[key].count += 1;
-      grouped[key].items.push(item);
+  // Sort before topK, so topK means "top K by sortBy"
+  if (sortBy && data.length > 0) {
+    const direction = sortOrder === "desc" ? -1 : 1;
+    data.sort((a, b) => {
+      const aVal = a?.[sortBy] ?? 0;
+      const bVal = b?.[sortBy] ?? 0;
+      const order =
+        typeof aVal === "number" && typeof bVal === "number"
+          ? aVal - bVal
+          : String(aVal).localeCompare(String(bVal), undefined, {
+              numeric: true,
+            });
+      return direction * order;
     });
+  }
 
-    // Convert to array and sort by count descending
-    const result = Object.entries(grouped)
-      .map(([key, value]) => ({
-        [groupBy]: key,
-        count: value.count,
-      }))
-      .sort((a, b) => b.count - a.count);
-
-    return {
-      query_type: "group",
-      grouped_by: groupBy,
-      total_records: data.length,
-      data_source: endpoint,
-      had_filters: hasFilters,
-      group_count: result.length,
-      result: result,
-    };
+  if (topK && topK > 0) {
+    data = data.slice(0, topK);
   }
 
-  if (type === "group" && field) {
-    // Group by and aggregate a field (e.g., sum by group)
-    const grouped = {};
-    data.forEach((item) => {
-      const key = item[groupBy] || "unknown";
-      if (!grouped[key]) {
-        grouped[key] = {
-          sum: 0,
-          count: 0,
-          avg: 0,
-        };
+  if (fields && Array.isArray(fields)) {
+    data = data.map((item) => {
+      const projected = {};
+      for (const field of fields) {
+        if (Object.prototype.hasOwnProperty.call(item, field)) {
+          projected[field] = item[field];
+        }
       }
-      grouped[key].sum += parseFloat(item[field]) || 0;
-      grouped[key].count += 1;
+      return projected;
     });
-
-    const result = Object.entries(grouped)
-      .map(([key, value]) => ({
-        [groupBy]: key,
-        total: value.sum,
-        count: value.count,
-        average: value.sum / value.count,
-      }))
-      .sort((a, b) => b.total - a.total);
-
-    return {
-      query_type: "group_aggregate",
-      grouped_by: groupBy,
-      aggregated_field: field,
-      total_records: data.length,
-      data_source: endpoint,
-      had_filters: hasFilters,
-      group_count: result.length,
-      result: result,
-    };
   }
 
-  return { error: "Invalid aggregation parameters", data: [] };
+  // Results too big for the context are summarized and paged
+  return JSON.stringify(
+    shapeRows(data, {
+      fields,
+      mentioned,
+      fieldTypes,
+      maxPageSize: spec.defaultLimit,
+      openCursor,
+    })
+  );
 }
 
 export const queryApiDataTool = tool(
-  async ({
-    endpoint,
-    params,
-    fields,
-    filters,
-    topK,
-    sortBy,
-    sortOrder,
-    aggregation,
-  }) => {
-    return queryApiData({
+  async (
+    {
       endpoint,
       params,
       fields,
@@ -263,45 +262,114 @@ export const queryApiDataTool = tool(
       sortBy,
       sortOrder,
       aggregation,
-    });
+      dateRange,
+      join,
+    },
+    config
+  ) => {
+    const args = {
+      endpoint,
+      params,
+      fields,
+      filters,
+      topK,
+      sortBy,
+      sortOrder,
+      aggregation,
+      dateRange,
+      join,
+    };
+    // Interrupts the run until the user decides, so it stays outside the try
+    const reasons = approvalReasons(args);
+    if (
+      reasons.length > 0 &&
+      !requestApproval({
+        toolCallId: config?.toolCall?.id,
+        name: "queryApiData",
+        input: args,
+        reasons,
+      })
+    ) {
+      return deniedResult(config, { name: "queryApiData" });
+    }
+
+    let result;
+    try {
+      result = await queryApiData(args, {
+        signal: config?.signal,
+        user: config?.configurable?.user,
+      });
+    } catch (error) {
+      // Cancelled runs must stop here rather than hand the model an error result
+      if (config?.signal?.aborted) throw error;
+      console.error("Error in queryApiData:", error);
+      result = toolErrorResult(classifyToolError(error), config, {
+        name: "queryApiData",
+        endpoint,
+      });
+    }
+    // Records are redacted at fetch; this catches anything derived from them
+    return redactToolResult(result);
   },
   {
     name: "queryApiData",
     description: `Universal function to query API endpoints with filtering, sorting, aggregation, and field selection.
 
 Available endpoints and their fields:
-- 'monthly_sales': Monthly sales data (requires empId in params)
-- 'top_distributors': Top distributors (requires empId in params)  
-- 'employee_data': Employee information (fields: EMP_ID, EMP_NAME, EMP_CODE, PLANT_ID, etc.)
-- 'order_history': Current FY orders (fields: CREATED_BY, CUSTOMER_ID, STATUS, STATUS_DESCRIPTION, PLANT_ID, TOTAL_ORDER_VALUE, ORDER_DATE)
+${describeEndpoints()}
 
 Filtering examples:
 - Filter by exact match: {CREATED_BY: "MKTG0562"}
 - Filter by status: {STATUS_DESCRIPTION: "Pending"}
 - Filter by multiple conditions: {CREATED_BY: "MKTG0562", STATUS: 11}
-- Filter by range: {TOTAL_ORDER_VALUE: {$gt: 5000}}
+- Filter by range: {TOTAL_ORDER_VALUE: {$gt: 5000}} or {TOTAL_ORDER_VALUE: {$gte: 5000, $lte: 20000}}
+- Exclude a value: {STATUS_DESCRIPTION: {$ne: "Cancelled"}}
+- Match any / none of a list: {PLANT_ID: {$in: ["BALA", "JAIP"]}}, {STATUS: {$nin: [11, 12]}}
+- Case-insensitive substring or regex: {CUSTOMER_NAME: {$contains: "jaipur"}}, {EMP_NAME: {$regex: "^RAHUL"}} (regexes: at most 100 characters, no repeated groups that repeat inside, like (a+)+)
+- Inclusive range, also for dates: {ORDER_DATE: {$between: ["2025-04-01", "2025-06-30"]}}
+- Either condition: {$or: [{STATUS_DESCRIPTION: "Pending"}, {TOTAL_ORDER_VALUE: {$gt: 100000}}]}
+- Nested composition: {$and: [{PLANT_ID: "BALA"}, {$or: [{STATUS: 11}, {STATUS: 12}]}]}
+Numbers sent as strings are compared numerically and dates chronologically.
+
+Date ranges (use for any time-based question; financial year is April-March):
+- Relative period: dateRange: {period: "last_30_days"} - on the endpoint's date field (ORDER_DATE, MONTH_YEAR)
+- Explicit dates, inclusive: dateRange: {from: "2025-04-01", to: "2025-06-30"}
+- In filters: {ORDER_DATE: {$period: "this_month"}}
+- Periods: ${PERIOD_EXPRESSIONS.join(", ")}
 
-Aggregation examples (NEW):
+Aggregation examples:
 - Count total: {type: "count"} - returns total count of records
 - Sum a field: {type: "sum", field: "TOTAL_ORDER_VALUE"} - sums numeric field
 - Group by field: {type: "group", groupBy: "CREATED_BY"} - counts records per group, sorted by count
-- Group and aggregate: {type: "group", groupBy: "CREATED_BY", field: "TOTAL_ORDER_VALUE"} - groups and sums field
+- Group and aggregate: {type: "group", groupBy: "CREATED_BY", field: "TOTAL_ORDER_VALUE"} - total, count and average per group
+- Several metrics: {metrics: [{op: "sum", field: "TOTAL_ORDER_VALUE"}, {op: "avg", field: "TOTAL_ORDER_VALUE"}, {op: "count_distinct", field: "CUSTOMER_ID", as: "customers"}]}
+- Multi-key grouping: {groupBy: ["PLANT_ID", "STATUS_DESCRIPTION"], metrics: [{op: "count"}, {op: "max", field: "TOTAL_ORDER_VALUE"}]}
+- Filter groups (HAVING), sort and limit: {groupBy: "CREATED_BY", metrics: [{op: "sum", field: "TOTAL_ORDER_VALUE", as: "total"}], having: {total: {$gt: 100000}}, sort: {by: "total", order: "desc"}, limit: 10}
+- Group by time: {groupBy: "ORDER_DATE", interval: "month", metrics: [{op: "sum", field: "TOTAL_ORDER_VALUE"}]} - per day/week/month, in date order
+Metric ops: ${METRIC_OPS.join(
+      ", "
+    )}. A metric is named "as" if given, else "<op>_<field>" (or "count").
+Aggregations return {columns, result: [rows], group_count, ...}.
+
+Joins (attach a related endpoint's record to each row, in the same call):
+- join: [{endpoint: "employee_data", fields: ["EMP_NAME", "REGION_DESC"]}] on order_history adds "employee_data.EMP_NAME" and "employee_data.REGION_DESC"
+- Joined fields work everywhere a field does, e.g. total pending order value by region:
+  {endpoint: "order_history", join: [{endpoint: "employee_data", fields: ["REGION_DESC"]}], filters: {STATUS_DESCRIPTION: "Pending"}, aggregation: {groupBy: "employee_data.REGION_DESC", metrics: [{op: "sum", field: "TOTAL_ORDER_VALUE", as: "pending_value"}]}}
+- Only the joins listed under each endpoint above are allowed. Rows without a match keep null related fields unless inner: true.
+
+Access: results only cover the employees the signed-in user may see (see the system prompt). Asking for anyone else fails with code "forbidden".
+
+Large results:
+- A result too large for the context comes back as {total_records, columns, offset, returned, next_cursor, message, rows}: "columns" summarizes the whole result per field (min/max/mean/sum for numbers, distinct count and top values otherwise), "rows" is one page. Large aggregations page their "result" the same way: "total_records" stays the number of records aggregated and "total_groups" counts the result rows being paged.
+- Prefer answering from the column summary, filters or an aggregation. To read further, call fetchNextPage with the next_cursor.
+
+Approval:
+- Queries the endpoint list marks as needing approval wait for the user. Narrow them when you can; a refused query returns {denied: true}.
 
 Returns filtered/aggregated JSON array or aggregation result with metadata.`,
     schema: z.object({
-      endpoint: z
-        .enum([
-          "monthly_sales",
-          "top_distributors",
-          "employee_data",
-          "order_history",
-        ])
-        .describe("API endpoint identifier"),
-      params: z
-        .object({ empId: z.number().int().optional() })
-        .partial()
-        .optional()
-        .describe("Parameters like {empId: 10000009}"),
+      endpoint: z.enum(ENDPOINT_NAMES).describe("API endpoint identifier"),
+      params: buildParamsSchema(),
       fields: z
         .array(z.string())
         .optional()
@@ -312,7 +380,7 @@ Returns filtered/aggregated JSON array or aggregation result with metadata.`,
         .record(z.any())
         .optional()
         .describe(
-          "Filter conditions as key-value pairs. Examples: {CREATED_BY: 'MKTG0562'}, {STATUS_DESCRIPTION: 'Pending'}, {PLANT_ID: 'BALA', STATUS: 11}"
+          "Filter conditions as key-value pairs; values may be operator objects ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $between, $contains, $regex) and keys may be $or/$and with arrays of filters. Examples: {CREATED_BY: 'MKTG0562'}, {PLANT_ID: 'BALA', STATUS: 11}, {TOTAL_ORDER_VALUE: {$gte: 5000}}"
         ),
       topK: z
         .number()
@@ -324,7 +392,10 @@ Returns filtered/aggregated JSON array or aggregation result with metadata.`,
       sortOrder: z.enum(["desc", "asc"]).default("desc").optional(),
       aggregation: z
         .object({
-          type: z.enum(["count", "sum", "group"]).describe("Aggregation type"),
+          type: z
+            .enum(["count", "sum", "group"])
+            .optional()
+            .describe("Legacy shorthand; prefer metrics"),
           field: z
             .string()
             .optional()
@@ -332,16 +403,273 @@ Returns filtered/aggregated JSON array or aggregation result with metadata.`,
               "Field to aggregate (for sum or group aggregation). E.g. 'TOTAL_ORDER_VALUE'"
             ),
           groupBy: z
+            .union([z.string(), z.array(z.string())])
+            .optional()
+            .describe(
+              "Field(s) to group by. E.g. 'CREATED_BY' or ['PLANT_ID', 'STATUS_DESCRIPTION']"
+            ),
+          interval: z
+            .enum(DATE_INTERVALS)
+            .optional()
+            .describe(
+              "Bucket date groupBy fields by day, week (Monday start) or month"
+            ),
+          metrics: z
+            .array(
+              z.object({
+                op: z.enum(METRIC_OPS),
+                field: z
+                  .string()
+                  .optional()
+                  .describe("Required for every op except count"),
+                as: z.string().optional().describe("Output column name"),
+              })
+            )
+            .optional()
+            .describe("Metrics computed per group"),
+          having: z
+            .record(z.any())
+            .optional()
+            .describe(
+              "Filter on aggregated rows, same syntax as filters, e.g. {total: {$gt: 100000}}"
+            ),
+          sort: z
+            .object({
+              by: z.string().describe("Group key or metric name"),
+              order: z.enum(["desc", "asc"]).optional(),
+            })
+            .optional(),
+          limit: z
+            .number()
+            .int()
+            .min(1)
+            .optional()
+            .describe("Maximum number of groups to return"),
+        })
+        .optional()
+        .describe(
+          "Aggregation configuration. Use for counting, summing, averaging or grouping operations"
+        ),
+      dateRange: z
+        .object({
+          field: z
+            .string()
+            .optional()
+            .describe("Date field; defaults to the endpoint's date field"),
+          period: z
             .string()
             .optional()
             .describe(
-              "Field to group by. E.g. 'CREATED_BY' to group orders by employee"
+              "Relative period, e.g. 'last_30_days', 'this_month', 'fy_q1'"
             ),
+          from: z.string().optional().describe("Start date, e.g. '2025-04-01'"),
+          to: z
+            .string()
+            .optional()
+            .describe("End date, inclusive, e.g. '2025-06-30'"),
         })
         .optional()
+        .describe("Restrict records to a date range (Indian April-March FY)"),
+      join: z
+        .array(
+          z.object({
+            endpoint: z
+              .enum(ENDPOINT_NAMES)
+              .describe("Related endpoint declared in the endpoint's joins"),
+            fields: z
+              .array(z.string())
+              .optional()
+              .describe(
+                "Related fields to attach (default all), e.g. ['EMP_NAME', 'REGION_DESC']"
+              ),
+            params: buildParamsSchema(),
+            inner: z
+              .boolean()
+              .optional()
+              .describe("Drop rows with no matching related record"),
+          })
+        )
+        .optional()
         .describe(
-          "Aggregation configuration. Use for counting, summing, or grouping operations"
+          "Attach related endpoint records as '<endpoint>.<FIELD>' before filtering and aggregation"
         ),
     }),
   }
 );
+
+// Only the user who ran the query can read its snapshot
+function readSnapshot(cursor, user) {
+  const { snapshotId, offset } = decodeCursor(cursor);
+  const snapshot = resultSnapshots.get(snapshotId, user?.empId);
+  if (!snapshot) {
+    throw new Error(
+      "This cursor has expired or is unknown: run the original query again"
+    );
+  }
+  return { snapshotId, offset, snapshot };
+}
+
+/**
+ * Returns the page of a stored queryApiData result that `cursor` points at.
+ */
+export function fetchNextPage(cursor, { user } = {}) {
+  const { snapshotId, offset, snapshot } = readSnapshot(cursor, user);
+  return continuePage(snapshot, offset, {
+    cursorFor: (next) => encodeCursor(snapshotId, next),
+  });
+}
+
+/**
+ * Every row of the stored result behind `cursor`, whatever page it points
+ * at and with all of its columns: {kind: "rows"|"aggregation", rows}. Used
+ * for exports, never sent to the model.
+ */
+export function fetchAllRows(cursor, { user } = {}) {
+  const { snapshot } = readSnapshot(cursor, user);
+  return { kind: snapshot.kind, rows: snapshot.rows };
+}
+
+/**
+ * Runs a queryApiData query again and returns every row of its result, as
+ * fetchAllRows does: for exports of a paged result whose snapshot is gone.
+ */
+export async function queryAllRows(args, { user, signal } = {}) {
+  const output = JSON.parse(await queryApiData(args, { user, signal }));
+  if (output.next_cursor) return fetchAllRows(output.next_cursor, { user });
+  return Array.isArray(output)
+    ? { kind: "rows", rows: output }
+    : { kind: "aggregation", rows: output.result };
+}
+
+export const fetchNextPageTool = tool(
+  async ({ cursor }, config) => {
+    let result;
+    try {
+      result = JSON.stringify(
+        fetchNextPage(cursor, { user: config?.configurable?.user })
+      );
+    } catch (error) {
+      console.error("Error in fetchNextPage:", error);
+      result = toolErrorResult(classifyToolError(error), config, {
+        name: "fetchNextPage",
+      });
+    }
+    return redactToolResult(result);
+  },
+  {
+    name: "fetchNextPage",
+    description: `Continues a large queryApiData result. Pass the next_cursor it returned to get the following page of the same records (same filters and order, as of the original query). Each page has its own next_cursor until the last one. Cursors expire after a while; then run the query again.`,
+    schema: z.object({
+      cursor: z
+        .string()
+        .describe("next_cursor from queryApiData or fetchNextPage"),
+    }),
+  }
+);
+
+// The latest successful queryApiData result in the conversation, or the one
+// of call `toolCallId`
+function queryResult(toolCallId, config) {
+  let messages = [];
+  try {
+    ({ messages = [] } = getCurrentTaskInput(config) ?? {});
+  } catch (_) {
+    // Called outside an agent run: there is no conversation to look in
+  }
+  const message = messages.findLast(
+    (m) =>
+      m?._getType?.() === "tool" &&
+      m.name === "queryApiData" &&
+      m.status !== "error" &&
+      (!toolCallId || m.tool_call_id === toolCallId)
+  );
+  if (!message) {
+    throw new ToolError(
+      "validation",
+      toolCallId
+        ? `There is no queryApiData result with id ${toolCallId}`
+        : "There is no queryApiData result to chart yet: call queryApiData first"
+    );
+  }
+  try {
+    return JSON.parse(message.content);
+  } catch (_) {
+    throw new ToolError(
+      "validation",
+      "That queryApiData call returned no records to chart"
+    );
+  }
+}
+
+/**
+ * The records a renderChart call plots: its inline `data`, else every row of
+ * the stored result behind `cursor`, else the queryApiData result named by
+ * `toolCallId` (by default the latest one), read in full if it was paged.
+ */
+function chartData({ data, cursor, toolCallId }, config) {
+  if (data) return data;
+  if (!cursor) {
+    const result = queryResult(toolCallId, config);
+    if (Array.isArray(result)) return result;
+    if (!result?.next_cursor) return result?.result ?? [];
+    cursor = result.next_cursor;
+  }
+  const { rows } = fetchAllRows(cursor, { user: config?.configurable?.user });
+  if (rows.length > MAX_CHART_POINTS) {
+    throw new ToolError(
+      "validation",
+      `That result has ${rows.length} records but a chart takes at most ${MAX_CHART_POINTS}: aggregate it first, e.g. by month or by customer`
+    );
+  }
+  return JSON.parse(redactToolResult(JSON.stringify(rows)));
+}
+
+/**
+ * Draws a chart in the chat. The records are looked up on the server, so the
+ * model only names them; the spec with the plotted records goes to the UI as
+ * the message's artifact, and the result only confirms what was drawn.
+ */
+export const renderChartTool = tool(
+  async ({ cursor, toolCallId, ...spec }, config) => {
+    try {
+      const fields = chartFields(spec);
+      const data = chartData(
+        { data: spec.data, cursor, toolCallId },
+        config
+      ).map((row) =>
+        Object.fromEntries(fields.map((field) => [field, row?.[field]]))
+      );
+      const chart = normalizeChart({ ...spec, data });
+      const content = JSON.stringify({
+        rendered: true,
+        type: chart.type,
+        categories: chart.categories.length,
+        series: chart.series.map((s) => s.name),
+        message:
+          "The chart is shown to the user. Summarize what it shows instead of repeating the numbers.",
+      });
+      if (!config?.toolCall?.id) return content;
+      return new ToolMessage({
+        name: "renderChart",
+        content,
+        artifact: { ...spec, data },
+        tool_call_id: config.toolCall.id,
+      });
+    } catch (error) {
+      return toolErrorResult(classifyToolError(error), config, {
+        name: "renderChart",
+      });
+    }
+  },
+  {
+    name: "renderChart",
+    description: `Shows a chart to the user, drawn from a queryApiData result (call queryApiData first). By default it plots the latest result; do not copy its records into the call.
+- Trend over time: {type: "line", x: "MONTH_YEAR", y: "TOTAL_SALES"} after querying monthly_sales
+- Ranking: {type: "bar", x: "CUSTOMER_NAME", y: "TOTAL_SALES"} after querying top_distributors
+- Aggregation groups: {type: "bar", x: "PLANT_ID", y: "total"}; two group keys: add series: "<second key>"
+- Share of a total: {type: "pie", x: "STATUS_DESCRIPTION", y: "count"}
+- A paged result: add cursor: <its next_cursor> to plot all of its rows, not just the first page
+At most ${MAX_CHART_POINTS} records; aggregate first if there are more. Pass data only for records you computed yourself. Use it when the user asks to plot, chart or visualize, or when a trend is clearer as a picture.`,
+    schema: chartSpecSchema,
+  }
+);
@@ -0,0 +1,223 @@
+// src/lib/aggregation.js
+
+import { bucketDate } from "./dateUtils.js";
+import { round2, toNumber } from "./numberUtils.js";
+import { matchesFilters } from "./queryFilters.js";
+
+export const METRIC_OPS = [
+  "count",
+  "sum",
+  "avg",
+  "min",
+  "max",
+  "median",
+  "count_distinct",
+];
+
+// A loop rather than Math.min(...values), which overflows the call stack on
+// large groups
+function extreme(rows, field, beats) {
+  let best = null;
+  for (const row of rows) {
+    const value = toNumber(row[field]);
+    if (value !== null && (best === null || beats(value, best))) best = value;
+  }
+  return best;
+}
+
+/**
+ * Metric reducers over the rows of one group. Non-numeric values are skipped
+ * by numeric metrics; a metric over no values yields null.
+ */
+const REDUCERS = {
+  count: (rows, field) =>
+    field ? rows.filter((row) => row[field] != null).length : rows.length,
+  sum: (rows, field) =>
+    rows.reduce((acc, row) => acc + (toNumber(row[field]) ?? 0), 0),
+  avg: (rows, field) => {
+    const values = rows
+      .map((row) => toNumber(row[field]))
+      .filter((v) => v !== null);
+    return values.length
+      ? round2(values.reduce((a, b) => a + b, 0) / values.length)
+      : null;
+  },
+  min: (rows, field) => extreme(rows, field, (a, b) => a < b),
+  max: (rows, field) => extreme(rows, field, (a, b) => a > b),
+  median: (rows, field) => {
+    const values = rows
+      .map((row) => toNumber(row[field]))
+      .filter((v) => v !== null)
+      .sort((a, b) => a - b);
+    if (!values.length) return null;
+    const mid = Math.floor(values.length / 2);
+    return values.length % 2
+      ? values[mid]
+      : round2((values[mid - 1] + values[mid]) / 2);
+  },
+  count_distinct: (rows, field) =>
+    new Set(rows.map((row) => row[field]).filter((v) => v != null)).size,
+};
+
+/**
+ * Translates the legacy {type, field, groupBy} shape into the metric spec,
+ * keeping the column names older prompts and answers relied on.
+ */
+function normalizeSpec(aggregation) {
+  const { type, field, groupBy, metrics, ...rest } = aggregation;
+  const keys = groupBy == null ? [] : [].concat(groupBy);
+
+  if (Array.isArray(metrics) && metrics.length > 0) {
+    return { ...rest, keys, metrics };
+  }
+
+  if (type === "sum") {
+    if (!field) throw new Error('Aggregation type "sum" requires a field');
+    return { ...rest, keys, metrics: [{ op: "sum", field, as: "result" }] };
+  }
+
+  if (type === "group" && field) {
+    return {
+      ...rest,
+      keys,
+      metrics: [
+        { op: "sum", field, as: "total" },
+        { op: "count" },
+        { op: "avg", field, as: "average" },
+      ],
+    };
+  }
+
+  // "count", "group" and a bare groupBy all count records
+  return {
+    ...rest,
+    keys,
+    metrics: [{ op: "count", as: keys.length ? "count" : "result" }],
+  };
+}
+
+function metricName({ op, field, as }) {
+  if (as) return as;
+  return field ? `${op}_${field}` : op;
+}
+
+/**
+ * Runs an aggregation spec over already-filtered records.
+ *
+ * Spec: {
+ *   groupBy?: string | string[]        - one or more grouping keys
+ *   interval?: "day"|"week"|"month"    - buckets date-typed groupBy keys
+ *   metrics?: [{op, field?, as?}]      - ops from METRIC_OPS
+ *   having?: filters                   - applied to the aggregated rows
+ *   sort?: {by, order?}                - defaults: time keys ascending,
+ *                                        else first metric descending
+ *   limit?: number
+ * }
+ * The legacy {type: "count"|"sum"|"group", field?, groupBy?} form is accepted too.
+ *
+ * Always returns the same envelope: `columns` lists the row keys in display
+ * order and `result` is an array of rows, even for ungrouped aggregates.
+ */
+export function performAggregation(
+  data,
+  aggregation,
+  { endpoint, hasFilters, fieldTypes = {} } = {}
+) {
+  const spec = normalizeSpec(aggregation);
+  const { keys, metrics, interval, having, sort, limit } = spec;
+
+  for (const metric of metrics) {
+    if (!REDUCERS[metric.op]) {
+      throw new Error(
+        `Unknown aggregation metric "${
+          metric.op
+        }". Supported: ${METRIC_OPS.join(", ")}`
+      );
+    }
+    if (metric.op !== "count" && !metric.field) {
+      throw new Error(`Aggregation metric "${metric.op}" requires a field`);
+    }
+  }
+
+  // Interval applies to date-typed keys, or to a lone key of unknown type
+  const bucketed = new Set(
+    interval
+      ? keys.filter(
+          (key) =>
+            fieldTypes[key]?.type === "date" ||
+            (keys.length === 1 && !fieldTypes[key])
+        )
+      : []
+  );
+  const keyValue = (item, key) => {
+    const value = bucketed.has(key)
+      ? bucketDate(item[key], interval)
+      : item[key];
+    return value == null || value === "" ? "unknown" : value;
+  };
+
+  const groups = new Map();
+  for (const item of data) {
+    const values = keys.map((key) => keyValue(item, key));
+    const id = JSON.stringify(values);
+    if (!groups.has(id)) groups.set(id, { values, rows: [] });
+    groups.get(id).rows.push(item);
+  }
+  // Ungrouped aggregates still produce one row, even over no records
+  if (keys.length === 0 && groups.size === 0) {
+    groups.set("[]", { values: [], rows: [] });
+  }
+
+  const metricNames = metrics.map(metricName);
+  let rows = [...groups.values()].map(({ values, rows: members }) => {
+    const row = {};
+    keys.forEach((key, i) => {
+      row[key] = values[i];
+    });
+    metrics.forEach((metric, i) => {
+      row[metricNames[i]] = REDUCERS[metric.op](members, metric.field);
+    });
+    return row;
+  });
+
+  if (having && Object.keys(having).length > 0) {
+    const metricTypes = Object.fromEntries(
+      metricNames.map((name) => [name, { type: "number" }])
+    );
+    rows = rows.filter((row) =>
+      matchesFilters(row, having, { ...fieldTypes, ...metricTypes })
+    );
+  }
+
+  const sortBy =
+    sort?.by ?? (bucketed.size > 0 ? [...bucketed][0] : metricNames[0]);
+  const order =
+    sort?.order ?? (sort?.by || bucketed.size === 0 ? "desc" : "asc");
+  rows.sort((a, b) => {
+    const x = a[sortBy];
+    const y = b[sortBy];
+    const cmp =
+      typeof x === "number" && typeof y === "number"
+        ? x - y
+        : String(x ?? "").localeCompare(String(y ?? ""), undefined, {
+            numeric: true,
+          });
+    return order === "asc" ? cmp : -cmp;
+  });
+
+  const groupCount = rows.length;
+  if (limit && limit > 0) rows = rows.slice(0, limit);
+
+  return {
+    query_type: keys.length ? "group_aggregate" : "aggregate",
+    data_source: endpoint,
+    total_records: data.length,
+    had_filters: hasFilters,
+    ...(keys.length ? { grouped_by: keys } : {}),
+    ...(interval ? { interval } : {}),
+    metrics: metricNames,
+    group_count: groupCount,
+    columns: [...keys, ...metricNames],
+    result: rows,
+  };
+}
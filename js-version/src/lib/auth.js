@@ -0,0 +1,104 @@
+// src/lib/auth.js
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { AUTH_CONFIG } from "./config.js";
+
+/**
+ * Data access levels a user can be granted, narrowest first:
+ *   self   - only their own records
+ *   team   - themselves and everyone reporting to them, directly or not
+ *   plant  - every employee of their PLANT_ID
+ *   region - every employee of their REGION_ID
+ *   all    - no restriction
+ */
+export const ACCESS_SCOPES = ["self", "team", "plant", "region", "all"];
+
+function sign(payload, secret) {
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * Issues a session token for `claims` = {empId, name?, role?, scope}:
+ * base64url(JSON).signature, expiring after `ttlSeconds`. For the sign-in
+ * service and local tooling; the chat server only verifies tokens.
+ */
+export function signSessionToken(
+  claims,
+  { secret = AUTH_CONFIG.secret, ttlSeconds = 12 * 3600 } = {}
+) {
+  if (!secret) throw new Error("AUTH_SECRET is not configured");
+  const payload = Buffer.from(
+    JSON.stringify({
+      ...claims,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Returns the user a token was issued for, or null if it is malformed,
+ * forged, expired or names no employee and valid scope.
+ */
+export function verifySessionToken(
+  token,
+  { secret = AUTH_CONFIG.secret } = {}
+) {
+  if (!secret || typeof token !== "string") return null;
+  const [payload, signature, extra] = token.split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+  if (!(claims?.exp > Date.now() / 1000)) return null;
+  if (!claims.empId || !ACCESS_SCOPES.includes(claims.scope)) return null;
+  return {
+    empId: String(claims.empId),
+    name: claims.name,
+    role: claims.role,
+    scope: claims.scope,
+  };
+}
+
+function tokenFrom(req) {
+  const header = req.headers.get("authorization");
+  if (header?.startsWith("Bearer ")) return header.slice(7).trim();
+  const cookie = req.headers
+    .get("cookie")
+    ?.split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${AUTH_CONFIG.cookieName}=`));
+  return cookie
+    ? decodeURIComponent(cookie.slice(AUTH_CONFIG.cookieName.length + 1))
+    : null;
+}
+
+/**
+ * The signed-in user of a request, {empId, name, role, scope}, or null.
+ * Without a token the development user (AUTH_DEV_EMP_ID) is used, if set.
+ */
+export function userFromRequest(req) {
+  const token = tokenFrom(req);
+  if (token) return verifySessionToken(token);
+  return AUTH_CONFIG.devUser ? { ...AUTH_CONFIG.devUser } : null;
+}
+
+/**
+ * How the user is described to the model in the system prompt.
+ */
+export function describeUser(user) {
+  const who = user.name || `employee ${user.empId}`;
+  return `${who}${user.role ? `, ${user.role}` : ""} (employee ${
+    user.empId
+  }, data access: ${user.scope})`;
+}
@@ -0,0 +1,134 @@
+// src/lib/chartSpec.js
+
+import { z } from "zod";
+import { parseDate } from "./dateUtils.js";
+import { toNumber } from "./numberUtils.js";
+
+export const CHART_TYPES = ["line", "bar", "pie"];
+export const MAX_CHART_POINTS = 200;
+
+/**
+ * Chart spec the agent emits through the renderChart tool. The records to
+ * plot are a queryApiData result the server already holds, named by `cursor`
+ * or `toolCallId` (by default the latest one); `data` lets the model pass
+ * records inline instead.
+ */
+export const chartSpecSchema = z.object({
+  type: z
+    .enum(CHART_TYPES)
+    .describe("line for trends over time, bar for rankings, pie for shares"),
+  title: z.string().optional().describe("Short chart title"),
+  x: z
+    .string()
+    .describe(
+      "Field for the x axis (line/bar) or the slice labels (pie), e.g. 'MONTH_YEAR' or 'CUSTOMER_NAME'"
+    ),
+  y: z
+    .union([z.string(), z.array(z.string()).min(1)])
+    .describe(
+      "Numeric field(s) to plot; several fields draw one series each, e.g. 'TOTAL_SALES'"
+    ),
+  series: z
+    .string()
+    .optional()
+    .describe(
+      "Field whose values split the rows into separate series, e.g. 'PLANT_ID' for a two-key aggregation; only with a single y"
+    ),
+  cursor: z
+    .string()
+    .optional()
+    .describe(
+      "next_cursor of a paged queryApiData result, to plot all of its rows"
+    ),
+  toolCallId: z
+    .string()
+    .optional()
+    .describe(
+      "Id of the queryApiData call whose result to plot, if not the latest one"
+    ),
+  data: z
+    .array(z.record(z.any()))
+    .min(1)
+    .max(MAX_CHART_POINTS)
+    .optional()
+    .describe(
+      "Records to plot, only for data that is not a queryApiData result as is"
+    ),
+});
+
+/**
+ * The fields of `data` a chart reads, so a stored result can be sent to the
+ * UI without its other columns.
+ */
+export function chartFields({ x, y, series }) {
+  return [x, ...[].concat(y), ...(series ? [series] : [])];
+}
+
+/**
+ * Checks a chart spec against its data and turns it into what the chart
+ * component draws: {type, title, x, yFields, categories, series: [{name, values}]}
+ * where `values` line up with `categories`. Line charts over dates are put
+ * in chronological order. Throws an Error describing the first problem.
+ */
+export function normalizeChart(spec) {
+  const { type, title, x, y, series, data } = chartSpecSchema.parse(spec);
+  if (!data) throw new Error("The chart has no data to plot");
+  const yFields = [].concat(y);
+  const hasField = (field) => data.some((row) => row[field] !== undefined);
+
+  for (const field of chartFields({ x, y, series })) {
+    if (!hasField(field)) {
+      throw new Error(
+        `Field ${field} is not in the chart data. Available: ${Object.keys(
+          data[0]
+        ).join(", ")}`
+      );
+    }
+  }
+  for (const field of yFields) {
+    if (!data.some((row) => toNumber(row[field]) !== null)) {
+      throw new Error(`Field ${field} has no numeric values to plot`);
+    }
+  }
+  if (series && yFields.length > 1) {
+    throw new Error("Use either several y fields or a series field, not both");
+  }
+  if (type === "pie" && (yFields.length > 1 || series)) {
+    throw new Error("A pie chart takes exactly one y field and no series");
+  }
+
+  let categories = [...new Set(data.map((row) => String(row[x] ?? "")))];
+  if (type === "line") {
+    const times = new Map(categories.map((c) => [c, parseDate(c)]));
+    if ([...times.values()].every((time) => time !== null)) {
+      categories = [...categories].sort((a, b) => times.get(a) - times.get(b));
+    }
+  }
+  const index = new Map(categories.map((c, i) => [c, i]));
+
+  const seriesMap = new Map();
+  const seriesFor = (name) => {
+    if (!seriesMap.has(name)) {
+      seriesMap.set(name, { name, values: categories.map(() => null) });
+    }
+    return seriesMap.get(name);
+  };
+  for (const row of data) {
+    const at = index.get(String(row[x] ?? ""));
+    for (const field of yFields) {
+      const value = toNumber(row[field]);
+      if (value === null) continue;
+      const target = seriesFor(series ? String(row[series] ?? "") : field);
+      target.values[at] = (target.values[at] ?? 0) + value;
+    }
+  }
+
+  return {
+    type,
+    title,
+    x,
+    yFields,
+    categories,
+    series: [...seriesMap.values()],
+  };
+}
@@ -0,0 +1,150 @@
+// src/lib/config.js
+
+import path from "node:path";
+
+/**
+ * Directory for server-side state (conversation checkpoints, thread index).
+ * Override with CHAT_DATA_DIR; defaults to `.data` in the project root.
+ */
+export const DATA_DIR =
+  process.env.CHAT_DATA_DIR || path.join(process.cwd(), ".data");
+
+/**
+ * System prompt profiles: one Markdown file per profile in PROMPTS_DIR
+ * (default `prompts/` in the project root). PROMPT_PROFILE picks the default.
+ */
+export const PROMPTS_DIR =
+  process.env.PROMPTS_DIR || path.join(process.cwd(), "prompts");
+export const DEFAULT_PROMPT_PROFILE = process.env.PROMPT_PROFILE || "default";
+
+/**
+ * IANA time zone that calendar periods ("today", "this_fy"), date-only values
+ * and date buckets are reckoned in, regardless of the server's own zone.
+ */
+export const APP_TIME_ZONE = process.env.APP_TIME_ZONE || "Asia/Kolkata";
+
+// One checkpoint file per thread; CHECKPOINT_FILE is the single file older
+// versions kept every thread in, migrated on startup
+export const CHECKPOINT_DIR = path.join(DATA_DIR, "checkpoints");
+export const CHECKPOINT_FILE = path.join(DATA_DIR, "checkpoints.json");
+export const THREADS_FILE = path.join(DATA_DIR, "threads.json");
+
+/**
+ * Chat model selection for the agent. LLM_PROVIDER is one of the providers
+ * registered in llmProviders.js: "gemini" (default), "openai" for any
+ * OpenAI-compatible endpoint, or "scripted" for the offline replay model.
+ */
+export const LLM_CONFIG = {
+  provider: process.env.LLM_PROVIDER || "gemini",
+  model: process.env.LLM_MODEL,
+  temperature: Number(process.env.LLM_TEMPERATURE ?? 0),
+  apiKey: process.env.LLM_API_KEY,
+  baseURL: process.env.LLM_BASE_URL,
+  scriptFile: process.env.LLM_SCRIPT_FILE,
+};
+
+/**
+ * Secondary model used when the primary stays rate-limited after retries,
+ * e.g. LLM_FALLBACK_MODEL=gemini-2.0-flash-lite, or LLM_FALLBACK_PROVIDER=openai
+ * with LLM_FALLBACK_BASE_URL pointing at a local server. Null when unset.
+ */
+export const LLM_FALLBACK_CONFIG =
+  process.env.LLM_FALLBACK_PROVIDER || process.env.LLM_FALLBACK_MODEL
+    ? {
+        provider: process.env.LLM_FALLBACK_PROVIDER || LLM_CONFIG.provider,
+        model: process.env.LLM_FALLBACK_MODEL,
+        apiKey: process.env.LLM_FALLBACK_API_KEY,
+        baseURL: process.env.LLM_FALLBACK_BASE_URL,
+        scriptFile: process.env.LLM_FALLBACK_SCRIPT_FILE,
+      }
+    : null;
+
+/**
+ * Rate-limit retries for model calls: LLM_RETRIES attempts after the first,
+ * with jittered exponential backoff from LLM_RETRY_BASE_MS. A provider
+ * retry-after hint is honoured, unless it exceeds LLM_RETRY_MAX_MS, in which
+ * case the fallback model is used straight away.
+ */
+export const LLM_RETRY_CONFIG = {
+  retries: Number(process.env.LLM_RETRIES ?? 2),
+  baseMs: Number(process.env.LLM_RETRY_BASE_MS ?? 1000),
+  maxDelayMs: Number(process.env.LLM_RETRY_MAX_MS ?? 20000),
+};
+
+/**
+ * Response cache for the sales APIs. Per-endpoint TTLs (seconds) come from the
+ * endpoint registry's `cacheTtl`; API_CACHE_TTL_<ENDPOINT> overrides one, e.g.
+ * API_CACHE_TTL_ORDER_HISTORY=60, and 0 turns caching off for it.
+ * API_CACHE_STORE=disk keeps entries in DATA_DIR across server restarts.
+ */
+export const CACHE_CONFIG = {
+  store: process.env.API_CACHE_STORE || "memory",
+  file: path.join(DATA_DIR, "api-cache.json"),
+};
+
+export function cacheTtlOverride(endpoint) {
+  const value = process.env[`API_CACHE_TTL_${endpoint.toUpperCase()}`];
+  return value === undefined || value === "" ? undefined : Number(value);
+}
+
+/**
+ * Upstream HTTP behaviour for the sales APIs: per-attempt timeout, retries with
+ * exponential backoff on 5xx/network errors, and the circuit breaker that stops
+ * calling an endpoint after repeated failures until a cooldown has passed.
+ */
+export const HTTP_CONFIG = {
+  timeoutMs: Number(process.env.API_TIMEOUT_MS ?? 15000),
+  retries: Number(process.env.API_RETRIES ?? 2),
+  retryBaseMs: Number(process.env.API_RETRY_BASE_MS ?? 500),
+  breakerThreshold: Number(process.env.API_BREAKER_THRESHOLD ?? 5),
+  breakerCooldownMs: Number(process.env.API_BREAKER_COOLDOWN_MS ?? 30000),
+};
+
+/**
+ * Chat user identity. Requests carry a session token signed with AUTH_SECRET
+ * (HMAC-SHA256, see auth.js) as a Bearer token or in the AUTH_COOKIE cookie;
+ * it is issued by the company's sign-in service. Outside production,
+ * AUTH_DEV_EMP_ID signs every tokenless request in as that employee, with
+ * AUTH_DEV_SCOPE as its data access (default "team").
+ */
+export const AUTH_CONFIG = {
+  secret: process.env.AUTH_SECRET,
+  cookieName: process.env.AUTH_COOKIE || "chat_session",
+  devUser:
+    process.env.AUTH_DEV_EMP_ID && process.env.NODE_ENV !== "production"
+      ? {
+          empId: process.env.AUTH_DEV_EMP_ID,
+          name: process.env.AUTH_DEV_NAME,
+          scope: process.env.AUTH_DEV_SCOPE || "team",
+        }
+      : null,
+};
+
+/**
+ * Rough token budget for one tool result in the model's context. Larger
+ * results are summarized per column and paged with a continuation cursor.
+ */
+export const TOOL_RESULT_CONFIG = {
+  tokenBudget: Number(process.env.TOOL_RESULT_TOKEN_BUDGET ?? 3000),
+};
+
+/**
+ * Paged results are kept server-side so a cursor walks one stable snapshot.
+ * Snapshots expire RESULT_CURSOR_TTL_SECONDS after their query; at most
+ * RESULT_CURSOR_MAX_SNAPSHOTS snapshots and RESULT_CURSOR_MAX_ROWS rows across
+ * them are held, oldest dropped first.
+ */
+export const RESULT_CURSOR_CONFIG = {
+  ttlMs: Number(process.env.RESULT_CURSOR_TTL_SECONDS ?? 900) * 1000,
+  maxEntries: Number(process.env.RESULT_CURSOR_MAX_SNAPSHOTS ?? 200),
+  maxRows: Number(process.env.RESULT_CURSOR_MAX_ROWS ?? 200_000),
+};
+
+/**
+ * Human approval of tool calls. Endpoints declare when a query needs the
+ * user's go-ahead (see `approval` in endpointRegistry.js); TOOL_APPROVAL=off
+ * lets every query run without asking.
+ */
+export const APPROVAL_CONFIG = {
+  enabled: process.env.TOOL_APPROVAL !== "off",
+};
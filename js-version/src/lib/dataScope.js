@@ -0,0 +1,141 @@
+// src/lib/dataScope.js
+
+import { ENDPOINTS } from "./endpointRegistry.js";
+import { ToolError } from "./toolErrors.js";
+
+// The endpoint whose records define who reports to whom and works where
+export const DIRECTORY_ENDPOINT = "employee_data";
+
+function normalize(value) {
+  return String(value ?? "")
+    .trim()
+    .toUpperCase();
+}
+
+// The manager and everyone below them; guards against cycles in the data
+function teamOf(manager, directory) {
+  const members = [manager];
+  const seen = new Set([normalize(manager.EMP_ID)]);
+  for (let i = 0; i < members.length; i++) {
+    const managerId = normalize(members[i].EMP_ID);
+    for (const employee of directory) {
+      const id = normalize(employee.EMP_ID);
+      if (
+        normalize(employee.REPORTING_MANAGER_ID) === managerId &&
+        !seen.has(id)
+      ) {
+        seen.add(id);
+        members.push(employee);
+      }
+    }
+  }
+  return members;
+}
+
+/**
+ * Works out which employees `user` may see, given a loader for the employee
+ * directory. Returns null for unrestricted access, else
+ * {label, keys: {EMP_ID: Set, EMP_CODE: Set}} with normalized values.
+ */
+export async function resolveUserScope(user, loadDirectory) {
+  if (!user) {
+    throw new ToolError("forbidden", "No signed-in user for this request");
+  }
+  if (user.scope === "all") return null;
+
+  const directory = await loadDirectory();
+  const me = directory.find(
+    (employee) => normalize(employee.EMP_ID) === normalize(user.empId)
+  );
+  if (!me) {
+    throw new ToolError(
+      "forbidden",
+      `Employee ${user.empId} is not in the employee directory, so no data can be shown`
+    );
+  }
+
+  const sameAs = (field) =>
+    directory.filter(
+      (employee) => normalize(employee[field]) === normalize(me[field])
+    );
+  const resolve = {
+    self: () => [[me], "your own records"],
+    team: () => [
+      teamOf(me, directory),
+      "you and the employees reporting to you",
+    ],
+    plant: () => [sameAs("PLANT_ID"), `employees of plant ${me.PLANT_ID}`],
+    region: () => [
+      sameAs("REGION_ID"),
+      `employees of region ${me.REGION_DESC || me.REGION_ID}`,
+    ],
+  }[user.scope];
+  if (!resolve) {
+    throw new ToolError("forbidden", `Unknown data access scope ${user.scope}`);
+  }
+  const [members, label] = resolve();
+
+  return {
+    label,
+    keys: {
+      EMP_ID: new Set(members.map((employee) => normalize(employee.EMP_ID))),
+      EMP_CODE: new Set(
+        members.map((employee) => normalize(employee.EMP_CODE))
+      ),
+    },
+  };
+}
+
+function allows(scope, key, value) {
+  return scope.keys[key].has(normalize(value));
+}
+
+// Values a filter condition pins a field to: literals, $eq and $in
+function pinnedValues(condition) {
+  if (condition === null || typeof condition !== "object") return [condition];
+  if (Array.isArray(condition)) return condition;
+  return [
+    ...("$eq" in condition ? [condition.$eq] : []),
+    ...(Array.isArray(condition.$in) ? condition.$in : []),
+  ];
+}
+
+/**
+ * Rejects a query that explicitly asks for employees outside the scope:
+ * a scoped param (e.g. empId) or a filter on the scoped field naming one.
+ * Throws ToolError("forbidden").
+ */
+export function enforceScope(endpoint, { params, filters } = {}, scope) {
+  const rowScope = ENDPOINTS[endpoint]?.rowScope;
+  if (!scope || !rowScope || rowScope === "public") return;
+
+  const requested = rowScope.param
+    ? params?.[rowScope.param] === undefined
+      ? []
+      : [params[rowScope.param]]
+    : filters?.[rowScope.field] === undefined
+    ? []
+    : pinnedValues(filters[rowScope.field]);
+  const denied = requested.filter(
+    (value) => !allows(scope, rowScope.key, value)
+  );
+  if (denied.length > 0) {
+    throw new ToolError(
+      "forbidden",
+      `You can only view data for ${scope.label}; ${
+        rowScope.param ?? rowScope.field
+      } ${denied.join(", ")} is outside that`,
+      { allowed_scope: scope.label }
+    );
+  }
+}
+
+/**
+ * Drops the rows of a field-scoped endpoint that belong to employees outside
+ * the scope.
+ */
+export function scopeRows(endpoint, rows, scope) {
+  const rowScope = ENDPOINTS[endpoint]?.rowScope;
+  if (!scope || !rowScope?.field) return rows;
+  return rows.filter((row) => allows(scope, rowScope.key, row[rowScope.field]));
+}
@@ -0,0 +1,346 @@
+// src/lib/dateUtils.js
+
+import { APP_TIME_ZONE } from "./config.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+const DAY_FIRST_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+const DOTNET_DATE = /^\/Date\((-?\d+)([+-]\d{4})?\)\/$/;
+
+const MONTH_NAMES = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+const MONTH_YEAR_DATE = /^([a-z]+)[\s-]+(\d{4})$/i;
+
+/**
+ * Calendar arithmetic happens in APP_TIME_ZONE: a calendar date or wall-clock
+ * time is written as a UTC timestamp ("wall time") and converted with the
+ * zone's offset at that moment.
+ */
+const zoneParts = new Intl.DateTimeFormat("en-US", {
+  timeZone: APP_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  second: "numeric",
+});
+// Offsets per half hour, the granularity zones change their offset at
+const offsetCache = new Map();
+
+// Offset of APP_TIME_ZONE from UTC at epoch ms `time`, in ms
+function zoneOffset(time) {
+  const slot = Math.floor(time / 1_800_000) * 1_800_000;
+  if (!offsetCache.has(slot)) {
+    if (offsetCache.size > 10_000) offsetCache.clear();
+    const parts = Object.fromEntries(
+      zoneParts
+        .formatToParts(new Date(slot))
+        .map(({ type, value }) => [type, Number(value)])
+    );
+    const wall = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    offsetCache.set(slot, wall - slot);
+  }
+  return offsetCache.get(slot);
+}
+
+// Epoch ms of a wall time in APP_TIME_ZONE
+function fromWallTime(wall) {
+  const offset = zoneOffset(wall);
+  // Near a DST change the offset at the result can differ from the guess's
+  const corrected = zoneOffset(wall - offset);
+  return wall - corrected;
+}
+
+// Start of a calendar day in APP_TIME_ZONE; months and days may overflow
+function zonedDate(year, month, day) {
+  return new Date(fromWallTime(Date.UTC(year, month, day)));
+}
+
+// {year, month (0-11), day, weekday (0 = Sunday)} of a date in APP_TIME_ZONE
+function calendarDay(date) {
+  const wall = new Date(date.getTime() + zoneOffset(date.getTime()));
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth(),
+    day: wall.getUTCDate(),
+    weekday: wall.getUTCDay(),
+  };
+}
+
+/**
+ * Parses the date formats the sales APIs are known to emit into epoch ms.
+ * Accepts Date objects, ISO strings, day-first "DD-MM-YYYY" / "DD/MM/YYYY"
+ * (Indian convention), .NET "/Date(ms)/" strings and month labels such as
+ * "April 2025" (first day of that month).
+ * Returns null for anything else, so plain strings are never mistaken for dates.
+ */
+export function parseDate(value) {
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+
+  if (ISO_DATE.test(text)) {
+    // Without an offset, dates and times are wall-clock ones in APP_TIME_ZONE
+    const iso = text.replace(" ", "T");
+    if (/Z|[+-]\d{2}:?\d{2}$/.test(iso.slice(10))) {
+      const time = Date.parse(iso);
+      return Number.isNaN(time) ? null : time;
+    }
+    const wall = Date.parse(`${iso.length === 10 ? `${iso}T00:00` : iso}Z`);
+    return Number.isNaN(wall) ? null : fromWallTime(wall);
+  }
+
+  const dayFirst = text.match(DAY_FIRST_DATE);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst.map(Number);
+    const valid = new Date(Date.UTC(year, month - 1, day)).getUTCMonth();
+    return valid === month - 1
+      ? zonedDate(year, month - 1, day).getTime()
+      : null;
+  }
+
+  const dotnet = text.match(DOTNET_DATE);
+  if (dotnet) return Number(dotnet[1]);
+
+  const monthYear = text.match(MONTH_YEAR_DATE);
+  if (monthYear) {
+    const name = monthYear[1].toLowerCase();
+    const month = MONTH_NAMES.findIndex(
+      (m) => name.length >= 3 && m.startsWith(name)
+    );
+    if (month >= 0) return zonedDate(Number(monthYear[2]), month, 1).getTime();
+  }
+
+  return null;
+}
+
+// Indian financial year: April to March
+const FY_START_MONTH = 3;
+
+function startOfDay(date) {
+  const { year, month, day } = calendarDay(date);
+  return zonedDate(year, month, day);
+}
+
+function addDays(date, days) {
+  const { year, month, day } = calendarDay(date);
+  return zonedDate(year, month, day + days);
+}
+
+// First day of the month `months` after the one containing `date`
+function addMonths(date, months) {
+  const { year, month } = calendarDay(date);
+  return zonedDate(year, month + months, 1);
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+  const { year, month, day, weekday } = calendarDay(date);
+  return zonedDate(year, month, day - ((weekday + 6) % 7));
+}
+
+/**
+ * First day (April 1) of the financial year that contains `date`.
+ */
+export function financialYearStart(date) {
+  const { year, month } = calendarDay(date);
+  return zonedDate(
+    month >= FY_START_MONTH ? year : year - 1,
+    FY_START_MONTH,
+    1
+  );
+}
+
+function fyQuarter(fyStart, quarter) {
+  const start = addMonths(fyStart, (quarter - 1) * 3);
+  return { start, end: addMonths(start, 3) };
+}
+
+/**
+ * Relative period expressions understood by resolvePeriod, for tool descriptions.
+ */
+export const PERIOD_EXPRESSIONS = [
+  "today",
+  "yesterday",
+  "last_N_days (e.g. last_7_days, last_30_days; includes today)",
+  "this_week",
+  "last_week",
+  "this_month",
+  "last_month",
+  "this_quarter",
+  "last_quarter",
+  "this_fy",
+  "last_fy",
+  "fy_q1..fy_q4 (quarters of the current FY)",
+  "last_fy_q1..last_fy_q4",
+  "fyYYYY and fyYYYY_q1..q4 (FY starting April YYYY, e.g. fy2025 = FY 2025-26)",
+];
+
+/**
+ * Resolves a period to a half-open range [start, end) of Dates.
+ * Accepts a relative expression (see PERIOD_EXPRESSIONS) or an explicit
+ * `{from?, to?}` whose date-only `to` includes that whole day.
+ * Weeks start on Monday; financial years and their quarters follow the
+ * Indian April-March FY (Q1 = Apr-Jun). Days begin at midnight in
+ * APP_TIME_ZONE. Throws on unknown expressions.
+ */
+export function resolvePeriod(expression, now = new Date()) {
+  if (expression && typeof expression === "object") {
+    return resolveExplicitRange(expression);
+  }
+
+  const expr = String(expression).trim().toLowerCase();
+  const today = startOfDay(now);
+  const fyStart = financialYearStart(today);
+  const quarterIndex = Math.floor(
+    ((calendarDay(today).month - FY_START_MONTH + 12) % 12) / 3
+  );
+
+  const lastDays = expr.match(/^last_(\d+)_days$/);
+  if (lastDays) {
+    const days = Number(lastDays[1]);
+    if (days < 1) throw new Error(`Invalid period "${expression}"`);
+    return { start: addDays(today, 1 - days), end: addDays(today, 1) };
+  }
+
+  const namedFy = expr.match(/^fy(\d{4})(?:_q([1-4]))?$/);
+  if (namedFy) {
+    const start = zonedDate(Number(namedFy[1]), FY_START_MONTH, 1);
+    return namedFy[2]
+      ? fyQuarter(start, Number(namedFy[2]))
+      : { start, end: addMonths(start, 12) };
+  }
+
+  const relativeFyQuarter = expr.match(/^(last_)?fy_q([1-4])$/);
+  if (relativeFyQuarter) {
+    const base = relativeFyQuarter[1] ? addMonths(fyStart, -12) : fyStart;
+    return fyQuarter(base, Number(relativeFyQuarter[2]));
+  }
+
+  switch (expr) {
+    case "today":
+      return { start: today, end: addDays(today, 1) };
+    case "yesterday":
+      return { start: addDays(today, -1), end: today };
+    case "this_week": {
+      const start = startOfWeek(today);
+      return { start, end: addDays(start, 7) };
+    }
+    case "last_week": {
+      const end = startOfWeek(today);
+      return { start: addDays(end, -7), end };
+    }
+    case "this_month": {
+      const start = addMonths(today, 0);
+      return { start, end: addMonths(start, 1) };
+    }
+    case "last_month": {
+      const end = addMonths(today, 0);
+      return { start: addMonths(end, -1), end };
+    }
+    case "this_quarter":
+      return fyQuarter(fyStart, quarterIndex + 1);
+    case "last_quarter": {
+      const { start } = fyQuarter(fyStart, quarterIndex + 1);
+      return { start: addMonths(start, -3), end: start };
+    }
+    case "this_fy":
+      return { start: fyStart, end: addMonths(fyStart, 12) };
+    case "last_fy":
+      return { start: addMonths(fyStart, -12), end: fyStart };
+    default:
+      throw new Error(
+        `Unknown period "${expression}". Supported: ${PERIOD_EXPRESSIONS.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+/**
+ * Whether `value` is a calendar date without a time ("2025-04-30",
+ * "30-04-2025"), which as an upper bound stands for that whole day.
+ */
+export function isDateOnly(value) {
+  return (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}$|^\d{1,2}[-/.]\d{1,2}[-/.]\d{4}$/.test(value.trim())
+  );
+}
+
+function resolveExplicitRange({ from, to }) {
+  const parseBound = (value, name) => {
+    const time = parseDate(value);
+    if (time === null) throw new Error(`Invalid ${name} date "${value}"`);
+    return new Date(time);
+  };
+  if (from == null && to == null) {
+    throw new Error("A date range needs a period, from or to");
+  }
+  const start = from == null ? new Date(-8.64e15) : parseBound(from, "from");
+  let end = to == null ? new Date(8.64e15) : parseBound(to, "to");
+  if (to != null && isDateOnly(to)) {
+    end = addDays(end, 1);
+  }
+  return { start, end };
+}
+
+/**
+ * "YYYY-MM-DD" of the calendar day `date` falls on in APP_TIME_ZONE.
+ */
+export function formatDay(date) {
+  const { year, month, day } = calendarDay(date);
+  const mm = String(month + 1).padStart(2, "0");
+  const dd = String(day).padStart(2, "0");
+  return `${year}-${mm}-${dd}`;
+}
+
+export const DATE_INTERVALS = ["day", "week", "month"];
+
+/**
+ * Label of the time bucket a date falls in: "YYYY-MM-DD" for day,
+ * the Monday "YYYY-MM-DD" for week and "YYYY-MM" for month.
+ * Labels sort chronologically as strings. Returns null for unparseable dates.
+ */
+export function bucketDate(value, interval) {
+  const time = parseDate(value);
+  if (time === null) return null;
+  const date = new Date(time);
+  switch (interval) {
+    case "day":
+      return formatDay(date);
+    case "week":
+      return formatDay(startOfWeek(date));
+    case "month":
+      return formatDay(date).slice(0, 7);
+    default:
+      throw new Error(
+        `Unknown interval "${interval}". Supported: ${DATE_INTERVALS.join(
+          ", "
+        )}`
+      );
+  }
+}
@@ -0,0 +1,378 @@
+// src/lib/endpointRegistry.js
+
+import { z } from "zod";
+import { ToolError } from "./toolErrors.js";
+import { configDotenv } from "dotenv";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+configDotenv({ path: path.resolve(__dirname, "../.env") });
+
+/**
+ * Data sources queryApiData can read. Adding an endpoint here is enough for
+ * the tool schema, the LLM-facing description and the fetch logic to pick it up.
+ *
+ * Each entry declares:
+ *   description  - what the endpoint returns, shown to the model
+ *   url          - URL template; `{param}` placeholders are filled from params
+ *   params       - {name: {type, required?, description?}}
+ *   fields       - {FIELD: {type: "string"|"number"|"date", description?}}
+ *   defaultLimit - most records returned per page; larger results are paged
+ *                  (see resultShaping.js)
+ *   cacheTtl     - seconds a response stays cached (0 = always refetch)
+ *   joins        - {endpoint: {localKey, foreignKey}}: related endpoints whose
+ *                  records can be attached where localKey equals their foreignKey
+ *   rowScope     - what limits the data to employees the user may see:
+ *                  {param, key} - the param must name such an employee
+ *                  {field, key} - only rows whose field names one are returned
+ *                  `key` is the employee_data field (EMP_ID or EMP_CODE) the
+ *                  value refers to; "public" means no restriction
+ *   redaction    - {allow, deny}: which upstream fields may leave the server.
+ *                  `allow` is "all" (default), "declared" (only `fields`) or a
+ *                  list; `deny` fields are always dropped. See redaction.js
+ *                  for the secret-field and contact masking applied on top.
+ *   approval     - {when, reason}: queries the user must approve before they
+ *                  run (see toolApproval.js). `when` is "always", which also
+ *                  covers joins of the endpoint, or "unfiltered": queries with
+ *                  no filters, date range, topK or aggregation
+ */
+const registry = {
+  monthly_sales: {
+    description: "Monthly sales totals for an employee in the current FY",
+    url: `${process.env.MONTHLY_SALES_API ?? ""}{empId}`,
+    params: {
+      empId: { type: "integer", required: true, description: "Employee ID" },
+    },
+    fields: {
+      MONTH_YEAR: { type: "date", description: 'e.g. "April 2025"' },
+      TOTAL_SALES: { type: "number" },
+    },
+    defaultLimit: 12, // 12 months per page
+    cacheTtl: 900,
+    rowScope: { param: "empId", key: "EMP_ID" },
+  },
+  top_distributors: {
+    description: "Top distributors by sales for an employee",
+    url: `${process.env.TOP_DISTRIBUTORS_API ?? ""}{empId}`,
+    params: {
+      empId: { type: "integer", required: true, description: "Employee ID" },
+    },
+    fields: {
+      CUSTOMER_ID: { type: "string" },
+      CUSTOMER_NAME: { type: "string" },
+      TOTAL_SALES: { type: "number" },
+    },
+    defaultLimit: 20, // 20 distributors per page
+    cacheTtl: 900,
+    rowScope: { param: "empId", key: "EMP_ID" },
+  },
+  employee_data: {
+    description: "Employee information",
+    url: process.env.EMPLOYEE_DATA_API ?? "",
+    fields: {
+      EMP_ID: { type: "string" },
+      EMP_CODE: { type: "string" },
+      EMP_NAME: { type: "string" },
+      EMP_DESIGNATION: { type: "string" },
+      EMP_TYPE: { type: "string" },
+      FLAG: { type: "string", description: "ACTIVE or INACTIVE" },
+      PLANT_ID: { type: "string" },
+      AREA_ID: { type: "string" },
+      LOCATION_ID: { type: "string" },
+      REGION_ID: { type: "string" },
+      REGION_DESC: { type: "string" },
+      REPORTING_MANAGER_ID: { type: "string" },
+      APPROVER_ID: { type: "string" },
+      LEVEL_DESC: { type: "string" },
+      COMPANY_ID: { type: "string" },
+    },
+    defaultLimit: 50, // 50 employees per page
+    cacheTtl: 3600, // The employee list rarely changes
+    rowScope: { field: "EMP_ID", key: "EMP_ID" },
+    // Upstream records also carry EMP_MOBILE_NO, EMP_EMAIL and PASSWORD
+    redaction: { allow: "declared" },
+    approval: { when: "always", reason: "Reads employee-level data" },
+  },
+  order_history: {
+    description: "Current FY orders",
+    url: "https://suprsales.in:5034/suprsales_api/Order/getCurrentFinancialYearOrder",
+    fields: {
+      CREATED_BY: { type: "string", description: "EMP_CODE of the creator" },
+      CUSTOMER_ID: { type: "string" },
+      CUST_TYPE_CODE: { type: "string" },
+      STATUS: { type: "number" },
+      STATUS_DESCRIPTION: { type: "string", description: 'e.g. "Pending"' },
+      PLANT_ID: { type: "string" },
+      TOTAL_ORDER_VALUE: { type: "number" },
+      ORDER_DATE: { type: "date" },
+    },
+    defaultLimit: 100, // 100 orders per page
+    cacheTtl: 300,
+    joins: {
+      employee_data: { localKey: "CREATED_BY", foreignKey: "EMP_CODE" },
+    },
+    rowScope: { field: "CREATED_BY", key: "EMP_CODE" },
+    approval: {
+      when: "unfiltered",
+      reason: "Fetches the whole order history without any filter",
+    },
+  },
+};
+
+const paramSpecSchema = z.object({
+  type: z.enum(["integer", "number", "string"]),
+  required: z.boolean().default(false),
+  description: z.string().optional(),
+});
+
+const fieldSpecSchema = z.object({
+  type: z.enum(["string", "number", "date"]),
+  description: z.string().optional(),
+});
+
+const endpointSpecSchema = z
+  .object({
+    description: z.string().min(1),
+    url: z.string(),
+    params: z.record(paramSpecSchema).default({}),
+    fields: z
+      .record(fieldSpecSchema)
+      .refine((fields) => Object.keys(fields).length > 0, {
+        message: "must declare at least one field",
+      }),
+    defaultLimit: z.number().int().positive(),
+    cacheTtl: z.number().nonnegative().default(300),
+    joins: z
+      .record(
+        z.object({
+          localKey: z.string(),
+          foreignKey: z.string(),
+        })
+      )
+      .default({}),
+    rowScope: z.union([
+      z.literal("public"),
+      z
+        .object({
+          param: z.string().optional(),
+          field: z.string().optional(),
+          key: z.enum(["EMP_ID", "EMP_CODE"]),
+        })
+        .refine((scope) => Boolean(scope.param) !== Boolean(scope.field), {
+          message: "must give exactly one of param or field",
+        }),
+    ]),
+    redaction: z
+      .object({
+        allow: z
+          .union([z.enum(["all", "declared"]), z.array(z.string())])
+          .default("all"),
+        deny: z.array(z.string()).default([]),
+      })
+      .default({}),
+    approval: z
+      .object({
+        when: z.enum(["always", "unfiltered"]),
+        reason: z.string().min(1),
+      })
+      .optional(),
+  })
+  .superRefine((spec, ctx) => {
+    for (const [, name] of spec.url.matchAll(/\{(\w+)\}/g)) {
+      if (!spec.params[name]) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["url"],
+          message: `placeholder {${name}} has no matching param`,
+        });
+      }
+    }
+    for (const [target, { localKey }] of Object.entries(spec.joins)) {
+      if (!spec.fields[localKey]) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["joins", target, "localKey"],
+          message: `unknown field ${localKey}`,
+        });
+      }
+    }
+    const { param, field } = spec.rowScope;
+    if (param && !spec.params[param]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["rowScope", "param"],
+        message: `unknown param ${param}`,
+      });
+    }
+    if (field && !spec.fields[field]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["rowScope", "field"],
+        message: `unknown field ${field}`,
+      });
+    }
+  });
+
+// Join targets live in other entries, so they are checked once all have parsed
+function joinIssues(endpoints) {
+  const issues = [];
+  for (const [name, spec] of Object.entries(endpoints)) {
+    for (const [target, { foreignKey }] of Object.entries(spec.joins)) {
+      const where = `${name}.joins.${target}`;
+      if (!endpoints[target]) {
+        issues.push(`  ${where}: unknown endpoint ${target}`);
+      } else if (!endpoints[target].fields[foreignKey]) {
+        issues.push(`  ${where}.foreignKey: unknown field ${foreignKey}`);
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validates a registry object, throwing one error that lists every problem.
+ */
+export function validateRegistry(candidate) {
+  const result = z.record(endpointSpecSchema).safeParse(candidate);
+  if (!result.success) {
+    const problems = result.error.issues
+      .map((issue) => `  ${issue.path.join(".")}: ${issue.message}`)
+      .join("\n");
+    throw new Error(`Invalid endpoint registry:\n${problems}`);
+  }
+  if (Object.keys(result.data).length === 0) {
+    throw new Error("Invalid endpoint registry: no endpoints declared");
+  }
+  const issues = joinIssues(result.data);
+  if (issues.length > 0) {
+    throw new Error(`Invalid endpoint registry:\n${issues.join("\n")}`);
+  }
+  return result.data;
+}
+
+// Validated at import so a bad entry fails at startup, not mid-conversation
+export const ENDPOINTS = validateRegistry(registry);
+
+export const ENDPOINT_NAMES = Object.keys(ENDPOINTS);
+
+/**
+ * Resolves an endpoint's URL, checking its required params first.
+ */
+export function buildEndpointUrl(endpoint, params = {}) {
+  const spec = ENDPOINTS[endpoint];
+  if (!spec) {
+    throw new ToolError(
+      "unknown_endpoint",
+      `Unsupported endpoint: ${endpoint}`
+    );
+  }
+
+  for (const [name, param] of Object.entries(spec.params)) {
+    if (
+      param.required &&
+      (params?.[name] === undefined || params[name] === "")
+    ) {
+      throw new ToolError(
+        "validation",
+        `Endpoint ${endpoint} requires params.${name}`
+      );
+    }
+  }
+
+  const url = spec.url.replace(/\{(\w+)\}/g, (_, name) =>
+    encodeURIComponent(params?.[name] ?? "")
+  );
+  if (!/^https?:\/\//.test(url)) {
+    throw new ToolError(
+      "configuration",
+      `Endpoint ${endpoint} has no base URL configured (check the .env file)`
+    );
+  }
+  return url;
+}
+
+const paramTypeToZod = {
+  integer: () => z.number().int(),
+  number: () => z.number(),
+  string: () => z.string(),
+};
+
+/**
+ * Zod schema for the tool's `params` argument: every param any endpoint
+ * declares, all optional here since requirements differ per endpoint.
+ */
+export function buildParamsSchema() {
+  const shape = {};
+  const usedBy = {};
+  for (const [endpoint, spec] of Object.entries(ENDPOINTS)) {
+    for (const [name, param] of Object.entries(spec.params)) {
+      shape[name] ??= paramTypeToZod[param.type]().describe(
+        param.description ?? name
+      );
+      (usedBy[name] ??= []).push(endpoint);
+    }
+  }
+  const summary = Object.entries(usedBy)
+    .map(([name, endpoints]) => `${name} (for ${endpoints.join(", ")})`)
+    .join("; ");
+  return z
+    .object(shape)
+    .partial()
+    .optional()
+    .describe(`Endpoint parameters: ${summary || "none"}`);
+}
+
+/**
+ * Field types of a query's records once the requested joins are attached:
+ * joined fields are named "<endpoint>.<FIELD>".
+ */
+export function joinedFieldTypes(endpoint, joinNames = []) {
+  const types = { ...ENDPOINTS[endpoint]?.fields };
+  for (const target of joinNames) {
+    for (const [field, spec] of Object.entries(
+      ENDPOINTS[target]?.fields ?? {}
+    )) {
+      types[`${target}.${field}`] = spec;
+    }
+  }
+  return types;
+}
+
+/**
+ * LLM-facing summary of each endpoint, its params, fields and joins.
+ */
+export function describeEndpoints() {
+  return Object.entries(ENDPOINTS)
+    .map(([name, spec]) => {
+      const required = Object.entries(spec.params)
+        .filter(([, param]) => param.required)
+        .map(([param]) => param);
+      const fields = Object.entries(spec.fields)
+        .map(([field, { type, description }]) =>
+          description
+            ? `${field} (${type}, ${description})`
+            : `${field} (${type})`
+        )
+        .join(", ");
+      const requires = required.length
+        ? ` (requires ${required.join(", ")} in params)`
+        : "";
+      const joins = Object.entries(spec.joins)
+        .map(
+          ([target, { localKey, foreignKey }]) =>
+            `${target} (${localKey} = ${target}.${foreignKey})`
+        )
+        .join(", ");
+      const approval = spec.approval
+        ? spec.approval.when === "always"
+          ? ". Every query, also as a join, needs the user's approval"
+          : ". Queries without filters, dateRange, topK or aggregation need the user's approval"
+        : "";
+      return `- '${name}': ${spec.description}${requires}. Fields: ${fields}${
+        joins ? `. Joins: ${joins}` : ""
+      }${approval}`;
+    })
+    .join("\n");
+}
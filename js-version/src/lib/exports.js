@@ -0,0 +1,348 @@
+// src/lib/exports.js
+
+import { fetchAllRows, queryAllRows } from "./agentTools.js";
+import { APP_TIME_ZONE } from "./config.js";
+import { pdfCanShow, writePdf } from "./pdfWriter.js";
+import { redactToolResult } from "./redaction.js";
+import { decodeCursor } from "./resultSnapshots.js";
+import { tableFromOutput } from "./resultTables.js";
+import { writeXlsx } from "./xlsxWriter.js";
+
+export const RESULT_EXPORT_FORMATS = ["csv", "xlsx"];
+export const CONVERSATION_EXPORT_FORMATS = ["markdown", "pdf"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  markdown: "text/markdown; charset=utf-8",
+  pdf: "application/pdf",
+};
+const EXTENSIONS = { csv: "csv", xlsx: "xlsx", markdown: "md", pdf: "pdf" };
+
+// Rows shown per tool result in a conversation export; CSV/XLSX have them all
+const CONVERSATION_TABLE_ROWS = 100;
+// Characters per column in the PDF's plain-text tables
+const PDF_COLUMN_WIDTH = 24;
+
+const NUMERIC = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const numberFormat = new Intl.NumberFormat("en-IN", {
+  maximumFractionDigits: 2,
+});
+
+function parseOutput(output) {
+  if (typeof output !== "string") return output ?? null;
+  try {
+    return JSON.parse(output);
+  } catch (_) {
+    return null;
+  }
+}
+
+// The cursor of a paged tool result, or null if it has one page
+function resultCursor({ name, input }, value) {
+  return (
+    value?.next_cursor ?? (name === "fetchNextPage" ? input?.cursor : null)
+  );
+}
+
+// The queryApiData arguments behind a paged result, found among the thread's
+// tool calls by the snapshot its cursor points into
+function originalQuery(toolCall, cursor, toolCalls) {
+  if (toolCall.name === "queryApiData") return toolCall.input;
+  const { snapshotId } = decodeCursor(cursor);
+  const origin = toolCalls.find((call) => {
+    if (call.name !== "queryApiData") return false;
+    const next = parseOutput(call.output)?.next_cursor;
+    return next && decodeCursor(next).snapshotId === snapshotId;
+  });
+  return origin?.input ?? null;
+}
+
+/**
+ * The table behind a tool call shown in the chat, as {rows, columns}, or
+ * null if its result is not tabular. A paged result is read back in full
+ * from its snapshot. Once the snapshot has expired (or the server restarted)
+ * the query is run again, so the export has current data; `toolCalls`, the
+ * thread's tool calls, are searched for the query behind a fetchNextPage.
+ */
+export async function resultTable(toolCall, { user, toolCalls = [] } = {}) {
+  const value = parseOutput(toolCall.output);
+  const table = tableFromOutput(value);
+  if (!table) return null;
+
+  const cursor = resultCursor(toolCall, value);
+  if (!cursor) return table;
+  let result;
+  try {
+    result = fetchAllRows(cursor, { user });
+  } catch (error) {
+    const query = originalQuery(toolCall, cursor, toolCalls);
+    if (!query) throw error;
+    result = await queryAllRows(query, { user });
+  }
+  const { kind, rows } = result;
+  const redacted = JSON.parse(redactToolResult(JSON.stringify(rows)));
+  return tableFromOutput(
+    kind === "aggregation" ? { ...value, result: redacted } : redacted
+  );
+}
+
+// Cells Excel would evaluate as formulas are prefixed with a quote; numbers
+// such as "-5" or "+91" are left as they are
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (
+    typeof value === "string" &&
+    /^[=+\-@\t\r]/.test(text) &&
+    !NUMERIC.test(text)
+  ) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${lines
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n")}\r\n`;
+}
+
+function slug(text) {
+  return (
+    String(text ?? "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "export"
+  );
+}
+
+function exportFile(format, name, body, now) {
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    filename: `${slug(name)}-${now.toISOString().slice(0, 10)}.${
+      EXTENSIONS[format]
+    }`,
+  };
+}
+
+/**
+ * Serializes a {rows, columns} table as CSV or XLSX.
+ * Returns {body, contentType, filename}.
+ */
+export function exportTable(
+  { rows, columns },
+  format,
+  { name = "results", now = new Date() } = {}
+) {
+  const body =
+    format === "xlsx"
+      ? writeXlsx(rows, columns, { sheetName: name })
+      : toCsv(rows, columns);
+  return exportFile(format, name, body, now);
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return numberFormat.format(value);
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function toolBlocks(toolCall) {
+  const { name, input = {}, output, artifact, state, errorText } = toolCall;
+  // A chart's data is shown as its table below: the plotted records the
+  // server sent as its artifact, or older calls' inline data
+  const { data: inputData, ...shownInput } = input ?? {};
+  const data = artifact?.data ?? inputData;
+  const blocks = [
+    { style: "subheading", text: `Tool: ${name}` },
+    {
+      style: "code",
+      text: JSON.stringify(
+        name === "renderChart" ? shownInput : input,
+        null,
+        2
+      ),
+    },
+  ];
+  if (state === "output-error") {
+    blocks.push({ style: "text", text: `Failed: ${errorText}` });
+    return blocks;
+  }
+
+  const value = parseOutput(output);
+  const table = tableFromOutput(name === "renderChart" ? data : value);
+  if (!table) {
+    if (output) blocks.push({ style: "code", text: String(output) });
+    return blocks;
+  }
+  // total_records counts the aggregated records, not an aggregation's rows
+  const total = Array.isArray(value?.result)
+    ? value.total_groups ?? value.result.length
+    : value?.total_records ?? table.rows.length;
+  const rows = table.rows.slice(0, CONVERSATION_TABLE_ROWS);
+  blocks.push({ style: "table", columns: table.columns, rows });
+  if (rows.length < total) {
+    blocks.push({
+      style: "muted",
+      text: `First ${rows.length} of ${total} rows. Export the result as CSV or XLSX for all of them.`,
+    });
+  }
+  return blocks;
+}
+
+// Document outline shared by the Markdown and PDF exports
+function conversationBlocks(thread, messages, now) {
+  const blocks = [
+    { style: "title", text: thread.title || "Conversation" },
+    {
+      style: "muted",
+      text: `Exported on ${now.toLocaleString("en-IN", {
+        timeZone: APP_TIME_ZONE,
+        dateStyle: "medium",
+        timeStyle: "short",
+      })}`,
+    },
+  ];
+  for (const message of messages) {
+    if (message.role === "user") {
+      blocks.push(
+        { style: "heading", text: "User" },
+        { style: "text", text: message.content }
+      );
+      continue;
+    }
+    blocks.push({
+      style: "heading",
+      text: message.model?.model
+        ? `Assistant (${message.model.model})`
+        : "Assistant",
+    });
+    for (const toolCall of message.tools ?? []) {
+      blocks.push(...toolBlocks(toolCall));
+    }
+    if (message.content) blocks.push({ style: "text", text: message.content });
+  }
+  return blocks;
+}
+
+const markdownCell = (value) =>
+  cellText(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+
+function markdownTable({ columns, rows }) {
+  return [
+    `| ${columns.map(markdownCell).join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+    ...rows.map(
+      (row) => `| ${columns.map((c) => markdownCell(row[c])).join(" | ")} |`
+    ),
+  ].join("\n");
+}
+
+function toMarkdown(blocks) {
+  const render = (block) => {
+    switch (block.style) {
+      case "title":
+        return `# ${block.text}`;
+      case "heading":
+        return `## ${block.text}`;
+      case "subheading":
+        return `### ${block.text}`;
+      case "muted":
+        return `_${block.text}_`;
+      case "code":
+        return `\`\`\`json\n${block.text}\n\`\`\``;
+      case "table":
+        return markdownTable(block);
+      default:
+        return block.text;
+    }
+  };
+  return `${blocks.map(render).join("\n\n")}\n`;
+}
+
+// Fixed-width table for the PDF's monospaced font; numbers align right
+function textTable({ columns, rows }) {
+  const cells = rows.map((row) =>
+    columns.map((c) => cellText(row[c]).replace(/\s+/g, " "))
+  );
+  const widths = columns.map((column, i) =>
+    Math.min(
+      PDF_COLUMN_WIDTH,
+      cells.reduce(
+        (width, row) => Math.max(width, row[i].length),
+        column.length
+      )
+    )
+  );
+  const line = (values, numeric = []) =>
+    values
+      .map((value, i) => {
+        const width = widths[i];
+        if (value.length > width) return `${value.slice(0, width - 1)}~`;
+        return numeric[i] ? value.padStart(width) : value.padEnd(width);
+      })
+      .join("  ")
+      .trimEnd();
+  return [
+    line(columns),
+    widths.map((width) => "-".repeat(width)).join("  "),
+    ...rows.map((row, r) =>
+      line(
+        cells[r],
+        columns.map((c) => typeof row[c] === "number")
+      )
+    ),
+  ].join("\n");
+}
+
+function toPdf(blocks, title, now) {
+  const unsupported = blocks.some(
+    (block) => !pdfCanShow(JSON.stringify(block))
+  );
+  if (unsupported) {
+    // After the title and export date
+    blocks = [
+      ...blocks.slice(0, 2),
+      {
+        style: "muted",
+        text: 'Some characters cannot be shown in a PDF and appear as "?". The Markdown export keeps them.',
+      },
+      ...blocks.slice(2),
+    ];
+  }
+  return writePdf(
+    blocks.map((block) =>
+      block.style === "table"
+        ? { style: "mono", text: textTable(block) }
+        : block.style === "code"
+        ? { style: "mono", text: block.text }
+        : block
+    ),
+    { title, now }
+  );
+}
+
+/**
+ * Writes a whole conversation - messages, tool inputs and result tables - as
+ * Markdown or PDF. `messages` are getThreadMessages' chat messages.
+ * Returns {body, contentType, filename}.
+ */
+export function exportConversation(
+  thread,
+  messages,
+  format,
+  { now = new Date() } = {}
+) {
+  const blocks = conversationBlocks(thread, messages, now);
+  const title = thread.title || "Conversation";
+  const body =
+    format === "pdf" ? toPdf(blocks, title, now) : toMarkdown(blocks);
+  return exportFile(format, title, body, now);
+}
@@ -0,0 +1,163 @@
+// src/lib/fileCheckpointer.js
+
+import { MemorySaver } from "@langchain/langgraph";
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * JSON replacer/reviver pair that round-trips the Uint8Array payloads the
+ * checkpoint serializer produces.
+ */
+function encodeBytes(_key, value) {
+  if (value instanceof Uint8Array) {
+    return { __bytes: Buffer.from(value).toString("base64") };
+  }
+  return value;
+}
+
+function decodeBytes(_key, value) {
+  if (value && typeof value === "object" && typeof value.__bytes === "string") {
+    return new Uint8Array(Buffer.from(value.__bytes, "base64"));
+  }
+  return value;
+}
+
+// Keys of MemorySaver's `writes` are JSON arrays starting with the thread id
+function writesPrefix(threadId) {
+  return `${JSON.stringify([threadId]).slice(0, -1)},`;
+}
+
+/**
+ * A MemorySaver that mirrors its storage to one JSON file per thread, so
+ * LangGraph threads survive server restarts. Reads stay in memory; a mutation
+ * rewrites only its thread's file, atomically (write to a temp file, then
+ * rename). `legacyFile`, the single file older versions kept every thread in,
+ * is split into per-thread files on first load.
+ */
+export class FileSaver extends MemorySaver {
+  constructor(dirPath, { serde, legacyFile } = {}) {
+    super(serde);
+    this.dirPath = dirPath;
+    this.pendingFlushes = new Map(); // threadId -> promise of its last flush
+    this.load();
+    if (legacyFile) this.migrate(legacyFile);
+  }
+
+  threadFile(threadId) {
+    return path.join(this.dirPath, `${encodeURIComponent(threadId)}.json`);
+  }
+
+  load() {
+    let files;
+    try {
+      files = fs.readdirSync(this.dirPath).filter((f) => f.endsWith(".json"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to list checkpoints in ${this.dirPath}:`, error);
+      }
+      return;
+    }
+    for (const file of files) {
+      const filePath = path.join(this.dirPath, file);
+      try {
+        const { threadId, storage, writes } = JSON.parse(
+          fs.readFileSync(filePath, "utf8"),
+          decodeBytes
+        );
+        this.storage[threadId] = storage;
+        Object.assign(this.writes, writes);
+      } catch (error) {
+        console.error(`Failed to load checkpoints from ${filePath}:`, error);
+      }
+    }
+  }
+
+  migrate(legacyFile) {
+    let legacy;
+    try {
+      legacy = JSON.parse(fs.readFileSync(legacyFile, "utf8"), decodeBytes);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to load checkpoints from ${legacyFile}:`, error);
+      }
+      return;
+    }
+    const { storage = {}, writes = {} } = legacy;
+    for (const [threadId, namespaces] of Object.entries(storage)) {
+      // Threads already split out are newer than the legacy file
+      if (this.storage[threadId]) continue;
+      this.storage[threadId] = namespaces;
+      const prefix = writesPrefix(threadId);
+      for (const [key, value] of Object.entries(writes)) {
+        if (key.startsWith(prefix)) this.writes[key] = value;
+      }
+    }
+    // Once, at startup, so a failure leaves the legacy file to retry from
+    try {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+      for (const threadId of Object.keys(storage)) {
+        const filePath = this.threadFile(threadId);
+        fs.writeFileSync(`${filePath}.tmp`, this.serialize(threadId));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+      }
+      fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+    } catch (error) {
+      console.error(`Failed to migrate checkpoints from ${legacyFile}:`, error);
+    }
+  }
+
+  serialize(threadId) {
+    const prefix = writesPrefix(threadId);
+    const writes = Object.fromEntries(
+      Object.entries(this.writes).filter(([key]) => key.startsWith(prefix))
+    );
+    return JSON.stringify(
+      { threadId, storage: this.storage[threadId], writes },
+      encodeBytes
+    );
+  }
+
+  flush(threadId) {
+    // Chain a thread's flushes so concurrent mutations never interleave
+    // partial writes; other threads' files are left alone
+    const previous = this.pendingFlushes.get(threadId) ?? Promise.resolve();
+    const filePath = this.threadFile(threadId);
+    const pending = previous
+      .then(async () => {
+        if (!this.storage[threadId]) {
+          await fs.promises.rm(filePath, { force: true });
+          return;
+        }
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(this.dirPath, { recursive: true });
+        await fs.promises.writeFile(tmpPath, this.serialize(threadId));
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((error) => {
+        console.error(`Failed to persist checkpoints to ${filePath}:`, error);
+      });
+    this.pendingFlushes.set(threadId, pending);
+    pending.then(() => {
+      if (this.pendingFlushes.get(threadId) === pending) {
+        this.pendingFlushes.delete(threadId);
+      }
+    });
+    return pending;
+  }
+
+  async put(config, checkpoint, metadata) {
+    const result = await super.put(config, checkpoint, metadata);
+    await this.flush(config.configurable?.thread_id);
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    await super.putWrites(config, writes, taskId);
+    await this.flush(config.configurable?.thread_id);
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    await this.flush(threadId);
+  }
+}
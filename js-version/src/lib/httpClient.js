@@ -0,0 +1,225 @@
+// src/lib/httpClient.js
+
+import { HTTP_CONFIG } from "./config.js";
+
+/**
+ * An upstream request that could not be completed. `kind` is one of
+ * "timeout", "network", "http" (non-2xx status), "invalid_response" (a body
+ * that is not JSON) or "circuit_open".
+ * `retryAfterMs` is set when the circuit breaker is refusing calls.
+ */
+export class UpstreamError extends Error {
+  constructor(message, { kind, status, attempts, retryAfterMs } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.kind = kind;
+    this.status = status;
+    this.attempts = attempts;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return (
+      this.kind === "timeout" ||
+      this.kind === "network" ||
+      (this.kind === "http" && this.status >= 500)
+    );
+  }
+}
+
+/**
+ * Per-key circuit breaker. After `threshold` consecutive failures the circuit
+ * opens and calls fail fast for `cooldownMs`; the first call after that is a
+ * trial (half-open) whose outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+  constructor({ threshold, cooldownMs }) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() - this.openedAt >= this.cooldownMs ? "half_open" : "open";
+  }
+
+  // Returns ms until calls are allowed again, or 0 if this call may proceed
+  acquire() {
+    const state = this.state;
+    if (state === "closed") return 0;
+    if (state === "half_open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return 0;
+    }
+    return Math.max(this.openedAt + this.cooldownMs - Date.now(), 1000);
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.trialInFlight || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  // A call that ended without telling us anything (e.g. cancelled by the user)
+  release() {
+    this.trialInFlight = false;
+  }
+}
+
+const breakers = new Map();
+
+function breakerFor(key) {
+  if (!breakers.has(key)) {
+    breakers.set(
+      key,
+      new CircuitBreaker({
+        threshold: HTTP_CONFIG.breakerThreshold,
+        cooldownMs: HTTP_CONFIG.breakerCooldownMs,
+      })
+    );
+  }
+  return breakers.get(key);
+}
+
+/**
+ * Snapshot of every circuit breaker, for diagnostics.
+ */
+export function breakerStates() {
+  return Object.fromEntries(
+    [...breakers].map(([key, breaker]) => [
+      key,
+      { state: breaker.state, failures: breaker.failures },
+    ])
+  );
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function attempt(url, { signal, timeoutMs, attempts }) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  // The timeout covers reading the body too, as does the caller's abort
+  const failure = (error) => {
+    if (signal?.aborted) return error;
+    if (timeout.aborted) {
+      return new UpstreamError(`Request timed out after ${timeoutMs} ms`, {
+        kind: "timeout",
+        attempts,
+      });
+    }
+    return new UpstreamError(`Network error: ${error.message}`, {
+      kind: "network",
+      attempts,
+    });
+  };
+
+  let response;
+  try {
+    response = await fetch(url, { signal: combined });
+  } catch (error) {
+    throw failure(error);
+  }
+  if (!response.ok) {
+    throw new UpstreamError(`HTTP error! status: ${response.status}`, {
+      kind: "http",
+      status: response.status,
+      attempts,
+    });
+  }
+  let body;
+  try {
+    body = await response.text();
+  } catch (error) {
+    throw failure(error);
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new UpstreamError(`Invalid JSON response: ${error.message}`, {
+      kind: "invalid_response",
+      status: response.status,
+      attempts,
+    });
+  }
+}
+
+/**
+ * GETs a JSON resource with a per-attempt timeout, retrying timeouts, network
+ * errors and 5xx responses with exponential backoff plus jitter. Calls sharing
+ * a `breakerKey` (the endpoint name) share one circuit breaker; while it is
+ * open this throws UpstreamError{kind: "circuit_open"} without calling out.
+ * Aborting `signal` stops immediately and rethrows the abort reason.
+ */
+export async function fetchJson(
+  url,
+  {
+    signal,
+    breakerKey = new URL(url).host,
+    timeoutMs = HTTP_CONFIG.timeoutMs,
+    retries = HTTP_CONFIG.retries,
+    retryBaseMs = HTTP_CONFIG.retryBaseMs,
+  } = {}
+) {
+  const breaker = breakerFor(breakerKey);
+  const waitMs = breaker.acquire();
+  if (waitMs > 0) {
+    throw new UpstreamError(
+      `${breakerKey} is temporarily unavailable after repeated failures`,
+      { kind: "circuit_open", attempts: 0, retryAfterMs: waitMs }
+    );
+  }
+
+  for (let attempts = 1; ; attempts++) {
+    try {
+      const data = await attempt(url, { signal, timeoutMs, attempts });
+      breaker.success();
+      return data;
+    } catch (error) {
+      if (signal?.aborted) {
+        breaker.release();
+        throw error;
+      }
+      if (!error.retryable || attempts > retries) {
+        // Client errors (4xx) and bad payloads say nothing about the source's health
+        if (error.retryable) breaker.failure();
+        else breaker.release();
+        throw error;
+      }
+      const delay = Math.round(
+        retryBaseMs * 2 ** (attempts - 1) * (0.5 + Math.random() / 2)
+      );
+      console.warn(
+        `Retrying ${breakerKey} in ${delay} ms (attempt ${attempts}): ${error.message}`
+      );
+      try {
+        await sleep(delay, signal);
+      } catch (abort) {
+        breaker.release();
+        throw abort;
+      }
+    }
+  }
+}
@@ -0,0 +1,46 @@
+// src/lib/joins.js
+
+// Codes are compared case- and whitespace-insensitively ("mktg0562 " = "MKTG0562")
+function joinKey(value) {
+  return value == null || value === ""
+    ? null
+    : String(value).trim().toUpperCase();
+}
+
+/**
+ * Attaches records of a related endpoint to each row, matching
+ * row[localKey] against related[foreignKey]. Related fields are added as
+ * "<target>.<FIELD>" so they never clash with the row's own fields; `fields`
+ * limits which ones are copied. When several related records share a key the
+ * first one wins.
+ *
+ * Left join by default: unmatched rows keep null related fields. With
+ * `inner: true` they are dropped instead.
+ */
+export function joinRecords(
+  rows,
+  related,
+  { target, localKey, foreignKey, fields = null, inner = false }
+) {
+  const index = new Map();
+  for (const record of related) {
+    const key = joinKey(record?.[foreignKey]);
+    if (key !== null && !index.has(key)) index.set(key, record);
+  }
+
+  const copied = fields ?? [
+    ...new Set(related.flatMap((record) => Object.keys(record))),
+  ];
+
+  const joined = [];
+  for (const row of rows) {
+    const match = index.get(joinKey(row?.[localKey]));
+    if (!match && inner) continue;
+    const extra = {};
+    for (const field of copied) {
+      extra[`${target}.${field}`] = match?.[field] ?? null;
+    }
+    joined.push({ ...row, ...extra });
+  }
+  return joined;
+}
@@ -1,9 +1,27 @@
 // src/lib/langgraphAgent.js
 
-import { StateGraph, MemorySaver } from "@langchain/langgraph";
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { Command, StateGraph } from "@langchain/langgraph";
 // import { getTopDistributorsTool, getMonthlySalesTool, fetchOrderHistoryTool } from "@/lib/agentTools.js";
-import { queryApiDataTool } from "./agentTools.js";
+import {
+  fetchNextPageTool,
+  queryApiDataTool,
+  renderChartTool,
+} from "./agentTools.js";
+import { FileSaver } from "./fileCheckpointer.js";
+import {
+  CHECKPOINT_DIR,
+  CHECKPOINT_FILE,
+  LLM_CONFIG,
+  LLM_FALLBACK_CONFIG,
+} from "./config.js";
+import { createChatModel, modelLabel } from "./llmProviders.js";
+import { createResilientModel } from "./resilientModel.js";
+import { toolErrorText } from "./toolErrors.js";
+import { AgentError, classifyAgentError } from "./agentErrors.js";
+import { renderSystemPrompt } from "./promptProfiles.js";
+import { describeUser } from "./auth.js";
+import { redactHistoryMessage, redactToolResult } from "./redaction.js";
+import { isDeniedOutput } from "./toolApproval.js";
 import { createReactAgent } from "@langchain/langgraph/prebuilt";
 import {
   HumanMessage,
@@ -19,168 +37,649 @@ const __dirname = path.dirname(__filename);
 // configDotenv({ path: path.resolve(__dirname, "../.env") });
 configDotenv();
 
-const SYSTEM_PROMPT = `You are the frontline support agent for a company. You are responsible for answering questions and assisting users with their issues. Always provide data-driven insights with specific numbers.`;
-
-const GOOGLE_API_KEY = process.env.GEMINI_API_KEY;
-
-const agentTools = [queryApiDataTool];
+const agentTools = [queryApiDataTool, fetchNextPageTool, renderChartTool];
 
-const agentModel = new ChatGoogleGenerativeAI({
-  model: "gemini-2.5-flash",
-  temperature: 0,
-  apiKey: GOOGLE_API_KEY,
+// Provider and model come from the LLM_* settings (see config.js).
+// Client-side retries are off: rate limits are retried by createResilientModel.
+function buildModel(options) {
+  const model = createChatModel({ ...options, maxRetries: 0 });
+  return { model, label: modelLabel(model, { ...LLM_CONFIG, ...options }) };
+}
+const agentModel = createResilientModel({
+  primary: buildModel({}),
+  fallback: LLM_FALLBACK_CONFIG ? buildModel(LLM_FALLBACK_CONFIG) : null,
+  tools: agentTools,
+});
+// Durable so conversation threads survive restarts
+const agentCheckpointer = new FileSaver(CHECKPOINT_DIR, {
+  legacyFile: CHECKPOINT_FILE,
 });
-const agentCheckpointer = new MemorySaver();
 
 const agent = createReactAgent({
-  llm: agentModel,
+  // A function is createReactAgent's hook for a model it should not bind tools to
+  llm: () => agentModel,
   tools: agentTools,
+  // Rendered per model call and never checkpointed, so profile edits and the
+  // date apply to existing threads too
+  prompt: (state, config) => [
+    new SystemMessage(
+      renderSystemPrompt(config?.configurable?.prompt_profile, {
+        userRole: config?.configurable?.user
+          ? describeUser(config.configurable.user)
+          : undefined,
+      })
+    ),
+    ...state.messages.map(redactHistoryMessage),
+  ],
   checkpointSaver: agentCheckpointer,
+  // Each tool call runs as its own task, so calls awaiting approval pause and
+  // resume independently (see runInput)
+  version: "v2",
 });
 
+// Per-run settings read by the prompt function above and by the tools
+function runConfig(threadId, { signal, profile, user }) {
+  return {
+    configurable: {
+      thread_id: String(threadId),
+      prompt_profile: profile,
+      user,
+    },
+    signal,
+  };
+}
+
+/**
+ * A new user message, or the user's decisions on paused tool calls (see
+ * toolApproval.js). Each call awaiting approval is its own interrupt, so each
+ * decision resumes the interrupt of its call and no other.
+ */
+async function runInput(userMessage, decisions, config) {
+  if (!decisions) return { messages: mapChatMessagesToLC([userMessage]) };
+  const interrupts = new Map(
+    pendingInterrupts(await agent.getState(config)).map((pending) => [
+      pending.value.toolCallId,
+      pending.id,
+    ])
+  );
+  const resume = {};
+  for (const decision of decisions) {
+    const id = interrupts.get(decision.toolCallId);
+    if (!id) {
+      throw new AgentError("bad_request", {
+        message: "There is no pending approval for this tool call.",
+      });
+    }
+    resume[id] = decision;
+  }
+  return new Command({ resume });
+}
+
+// The interrupts of a thread's paused run that wait for a tool approval
+function pendingInterrupts(state) {
+  return (state?.tasks ?? [])
+    .flatMap((task) => task.interrupts ?? [])
+    .filter((pending) => pending.value?.type === "tool_approval");
+}
+
+/**
+ * Tool calls of a thread waiting for the user's approval: the interrupt
+ * values {type, toolCallId, name, input, reasons} of its paused run.
+ */
+function approvalsOf(state) {
+  return pendingInterrupts(state).map((pending) => pending.value);
+}
+
+export async function getPendingApprovals(threadId) {
+  return approvalsOf(
+    await agent.getState({ configurable: { thread_id: String(threadId) } })
+  );
+}
+
+// Shows paused calls as awaiting approval instead of running
+function markPending(tools, approvals) {
+  const pending = new Map(approvals.map((a) => [a.toolCallId, a]));
+  return tools.map((t) =>
+    pending.has(t.toolCallId)
+      ? {
+          ...t,
+          state: "approval-requested",
+          approval: { reasons: pending.get(t.toolCallId).reasons },
+        }
+      : t
+  );
+}
+
+// Messages since the last user message: the current turn, including the
+// calls a resumed run made before it paused
+function currentTurn(messages) {
+  const start = messages.findLastIndex((m) => m._getType() === "human");
+  return messages.slice(start + 1);
+}
+
 function mapChatMessagesToLC(messages) {
   if (!Array.isArray(messages)) return [];
   return messages
     .filter((m) => m && typeof m.content === "string" && m.role)
     .map((m) => {
-      if (m.role === "user") return new HumanMessage(m.content);
+      // A known id keeps the message's identity when it is re-sent on a new branch
+      if (m.role === "user") {
+        return new HumanMessage({ content: m.content, id: m.id });
+      }
       if (m.role === "assistant") return new AIMessage(m.content);
       if (m.role === "system") return new SystemMessage(m.content);
       return new HumanMessage(m.content);
     });
 }
 
-export async function runAgent(messages, threadId = "default") {
-  try {
-    // Prepend system prompt to guide agent behavior
-    const messagesWithSystem = [
-      // { role: "system", content: SYSTEM_PROMPT },
-      ...messages,
-    ];
-    const lcMessages = mapChatMessagesToLC(messagesWithSystem);
-    const state = await agent.invoke(
-      { messages: lcMessages },
-      { configurable: { thread_id: String(threadId) } }
+// A thread's checkpoints, newest first, across all of its branches
+async function listCheckpoints(threadId) {
+  const tuples = [];
+  for await (const tuple of agentCheckpointer.list({
+    configurable: { thread_id: String(threadId) },
+  })) {
+    tuples.push(tuple);
+  }
+  return tuples;
+}
+
+const messagesOf = (tuple) => tuple.checkpoint.channel_values?.messages ?? [];
+
+// Whether a checkpoint ends a finished turn. Failed, stopped and paused runs
+// leave checkpoints that don't, and are not offered as branches.
+function isSettled(messages) {
+  const last = messages.at(-1);
+  return !last || (last._getType() === "ai" && !last.tool_calls?.length);
+}
+
+/**
+ * The thread's conversation tree as parent message id ("" for the start) ->
+ * ids of the messages that followed it on some branch, oldest first. Editing
+ * a message forks the tree at its parent; regenerating a reply forks it at
+ * the user message. `current` (the latest state) counts even if unsettled.
+ */
+async function threadBranches(threadId, current) {
+  const children = new Map();
+  const addPath = (messages) => {
+    let parent = "";
+    for (const { id } of messages) {
+      const ids = children.get(parent) ?? [];
+      if (!ids.includes(id)) children.set(parent, [...ids, id]);
+      parent = id;
+    }
+  };
+  for (const tuple of (await listCheckpoints(threadId)).reverse()) {
+    if (isSettled(messagesOf(tuple))) addPath(messagesOf(tuple));
+  }
+  addPath(current);
+  return children;
+}
+
+/**
+ * Config that starts a run from the thread's state just before message
+ * `messageId`. The run forks the thread there: its messages become a new
+ * branch and the thread's latest state.
+ */
+async function forkConfig(config, messageId) {
+  const tuples = await listCheckpoints(config.configurable.thread_id);
+  const holder = tuples
+    .map(messagesOf)
+    .find((messages) => messages.some((m) => m.id === messageId));
+  if (!holder) {
+    throw new AgentError("bad_request", {
+      message: "That message is no longer part of this conversation.",
+    });
+  }
+  const prefix = holder.slice(
+    0,
+    holder.findIndex((m) => m.id === messageId)
+  );
+  const base = tuples.find((tuple) => {
+    const messages = messagesOf(tuple);
+    return (
+      isSettled(messages) &&
+      messages.length === prefix.length &&
+      messages.every((m, i) => m.id === prefix[i].id)
     );
-    const final = state.messages[state.messages.length - 1];
-    // Extract tool calls and outputs created during this invoke
-    const newMessagesStart = Array.isArray(lcMessages) ? lcMessages.length : 0;
-    const newMessages = state.messages.slice(newMessagesStart);
-    // Build correlated tool call and output lists to avoid duplicates
-    const calls = [];
-    const outputs = [];
-
-    for (const m of newMessages) {
-      const toolCalls =
-        (Array.isArray(m?.additional_kwargs?.tool_calls)
-          ? m.additional_kwargs.tool_calls
-          : null) ||
-        (Array.isArray(m?.tool_calls) ? m.tool_calls : null) ||
-        [];
-
-      for (const call of toolCalls) {
-        const name = call?.function?.name || call?.name || m?.name || m?.tool;
-        const id = call?.id || undefined;
-        let input = call?.function?.arguments ?? call?.arguments ?? call?.input;
-        if (typeof input === "string") {
-          try {
-            input = JSON.parse(input);
-          } catch (_) {}
-        }
-        calls.push({ id, name, input: input ?? {} });
-      }
+  });
+  if (!base) {
+    throw new AgentError("bad_request", {
+      message: "This message cannot be edited or regenerated.",
+    });
+  }
+  return {
+    ...config,
+    configurable: {
+      ...config.configurable,
+      checkpoint_id: base.config.configurable.checkpoint_id,
+    },
+  };
+}
 
-      const toolName = m?.tool || m?.tool_name || m?.name;
-      const toolCallId = m?.tool_call_id || undefined;
-      const content =
-        typeof m?.content === "string"
-          ? m.content
-          : m?.content != null
-          ? JSON.stringify(m.content)
-          : undefined;
-      if (toolName && (toolCallId || content)) {
-        outputs.push({ id: toolCallId, name: toolName, content });
+/**
+ * Makes the branch containing message `messageId` the thread's current one,
+ * by forking from the newest finished checkpoint on it. Returns the thread's
+ * messages as getThreadMessages does, or null if no branch has the message.
+ */
+export async function switchBranch(threadId, messageId) {
+  const tuples = await listCheckpoints(threadId);
+  const target = tuples.find(
+    (tuple) =>
+      isSettled(messagesOf(tuple)) &&
+      messagesOf(tuple).some((m) => m.id === messageId)
+  );
+  if (!target) return null;
+  // Already the latest checkpoint, so already the current branch
+  if (target !== tuples[0]) {
+    await agent.updateState(target.config, { messages: [] });
+  }
+  return getThreadMessages(threadId);
+}
+
+/**
+ * Captures the thread's latest checkpoint before a run, so an aborted run can be
+ * rewound.
+ */
+async function snapshotThread(config) {
+  const state = await agent.getState(config);
+  return {
+    config: state?.config?.configurable?.checkpoint_id ? state.config : null,
+  };
+}
+
+/**
+ * Drops whatever an aborted or failed run checkpointed, so half-finished tool
+ * calls never reach the next turn and a retry starts clean. Forks from the
+ * pre-run checkpoint, or deletes a thread the run created.
+ */
+async function discardRun(config, snapshot) {
+  // Without a snapshot the run never started
+  if (!snapshot) return;
+  try {
+    const latest = await snapshotThread(config);
+    const latestId = latest.config?.configurable?.checkpoint_id;
+    if (latestId === snapshot.config?.configurable?.checkpoint_id) return;
+    if (snapshot.config) {
+      await agent.updateState(snapshot.config, { messages: [] });
+    } else {
+      await agentCheckpointer.deleteThread(config.configurable.thread_id);
+    }
+  } catch (error) {
+    console.error("Failed to discard unfinished run:", error);
+  }
+}
+
+/**
+ * Builds correlated tool call/output entries for the UI from a run of LangChain messages.
+ */
+function collectTools(messages) {
+  // Build correlated tool call and output lists to avoid duplicates
+  const calls = [];
+  const outputs = [];
+
+  for (const m of messages) {
+    const toolCalls =
+      (Array.isArray(m?.additional_kwargs?.tool_calls)
+        ? m.additional_kwargs.tool_calls
+        : null) ||
+      (Array.isArray(m?.tool_calls) ? m.tool_calls : null) ||
+      [];
+
+    for (const call of toolCalls) {
+      const name = call?.function?.name || call?.name || m?.name || m?.tool;
+      const id = call?.id || undefined;
+      let input =
+        call?.function?.arguments ??
+        call?.arguments ??
+        call?.input ??
+        call?.args;
+      if (typeof input === "string") {
+        try {
+          input = JSON.parse(input);
+        } catch (_) {}
       }
+      calls.push({ id, name, input: input ?? {} });
     }
 
-    // Create entries from calls, keying by id when present, otherwise by name+index
-    const toolsMap = new Map();
-    const nameIndex = new Map();
-    for (const c of calls) {
-      const index = (nameIndex.get(c.name) || 0) + 1;
-      nameIndex.set(c.name, index);
-      const key = c.id || `${c.name}#${index}`;
-      toolsMap.set(key, {
-        toolCallId: c.id,
-        name: c.name,
-        type: c.name,
-        input: c.input,
-        output: undefined,
-        state: "input-available",
-        errorText: undefined,
+    const toolName = m?.tool || m?.tool_name || m?.name;
+    const toolCallId = m?.tool_call_id || undefined;
+    // Also covers tool results checkpointed before redaction existed
+    const content =
+      typeof m?.content === "string"
+        ? redactToolResult(m.content)
+        : m?.content != null
+        ? redactToolResult(JSON.stringify(m.content))
+        : undefined;
+    if (toolName && (toolCallId || content)) {
+      outputs.push({
+        id: toolCallId,
+        name: toolName,
+        content,
+        artifact: m?.artifact,
+        isError: m?.status === "error",
+        isDenied: isDeniedOutput(content),
       });
     }
+  }
 
-    // Attach outputs. Prefer exact id, else first matching name without output
-    for (const o of outputs) {
-      let key;
-      if (o.id && toolsMap.has(o.id)) {
-        key = o.id;
-      } else {
-        for (const [k, v] of toolsMap.entries()) {
-          if (v.name === o.name && v.output === undefined) {
-            key = k;
-            break;
-          }
+  // Create entries from calls, keying by id when present, otherwise by name+index
+  const toolsMap = new Map();
+  const nameIndex = new Map();
+  for (const c of calls) {
+    const index = (nameIndex.get(c.name) || 0) + 1;
+    nameIndex.set(c.name, index);
+    const key = c.id || `${c.name}#${index}`;
+    toolsMap.set(key, {
+      toolCallId: c.id,
+      name: c.name,
+      type: c.name,
+      input: c.input,
+      output: undefined,
+      state: "input-available",
+      errorText: undefined,
+    });
+  }
+
+  // Attach outputs. Prefer exact id, else first matching name without output
+  for (const o of outputs) {
+    let key;
+    if (o.id && toolsMap.has(o.id)) {
+      key = o.id;
+    } else {
+      for (const [k, v] of toolsMap.entries()) {
+        if (v.name === o.name && v.output === undefined) {
+          key = k;
+          break;
         }
       }
+    }
 
-      if (key !== undefined) {
-        const entry = toolsMap.get(key);
-        entry.output = o.content;
-        entry.state = o.content ? "output-available" : entry.state;
-        toolsMap.set(key, entry);
+    if (key !== undefined) {
+      const entry = toolsMap.get(key);
+      entry.output = o.content;
+      if (o.artifact !== undefined) entry.artifact = o.artifact;
+      if (o.isError) {
+        entry.state = "output-error";
+        entry.errorText = toolErrorText(o.content);
+      } else if (o.isDenied) {
+        entry.state = "output-denied";
       } else {
-        const fallbackKey = o.id || `${o.name}#fallback`;
-        if (!toolsMap.has(fallbackKey)) {
-          toolsMap.set(fallbackKey, {
-            toolCallId: o.id,
-            name: o.name,
-            type: o.name,
-            input: {},
-            output: o.content,
-            state: o.content ? "output-available" : "running",
-            errorText: undefined,
-          });
-        }
+        entry.state = o.content ? "output-available" : entry.state;
+      }
+      toolsMap.set(key, entry);
+    } else {
+      const fallbackKey = o.id || `${o.name}#fallback`;
+      if (!toolsMap.has(fallbackKey)) {
+        toolsMap.set(fallbackKey, {
+          toolCallId: o.id,
+          name: o.name,
+          type: o.name,
+          input: {},
+          output: o.content,
+          state: o.isError
+            ? "output-error"
+            : o.content
+            ? "output-available"
+            : "running",
+          errorText: o.isError ? toolErrorText(o.content) : undefined,
+        });
       }
     }
+  }
 
-    const tools = Array.from(toolsMap.values());
+  return Array.from(toolsMap.values());
+}
+
+/**
+ * Runs one turn of the agent on a thread.
+ * Only the new user message is passed in; earlier turns come from the thread's checkpoint.
+ * `profile` names the system prompt profile (see promptProfiles.js).
+ * `user` is the signed-in user (see auth.js): it is described to the model
+ * and limits the data the tools return.
+ * A run stops early when tool calls need the user's approval; it is then
+ * resumed with `decisions` ([{toolCallId, approved}], one per call) instead
+ * of a user message. `approvals` lists the calls still waiting.
+ * `forkFrom` (a message id) runs the turn from the state just before that
+ * message instead of the latest one, to edit it or regenerate its reply.
+ * Failures are thrown as an AgentError tagged with `requestId`.
+ */
+export async function runAgent(
+  userMessage,
+  threadId = "default",
+  { signal, requestId, profile, user, decisions, forkFrom } = {}
+) {
+  const config = runConfig(threadId, { signal, profile, user });
+  let snapshot = null;
+  try {
+    snapshot = await snapshotThread(config);
+    await agent.invoke(
+      await runInput(userMessage, decisions, config),
+      forkFrom ? await forkConfig(config, forkFrom) : config
+    );
+    const state = await agent.getState(config);
+    const messages = state.values.messages;
+    const final = messages[messages.length - 1];
+    const approvals = approvalsOf(state);
+    const tools = markPending(collectTools(currentTurn(messages)), approvals);
     const text = typeof final?.content === "string" ? final.content : "";
-    return { text, tools };
+    return { text, tools, model: answeredBy(final), approvals };
   } catch (error) {
-    console.error("Agent execution error:", error);
-
-    // Handle rate limit errors specifically
-    if (error.message?.includes("429") || error.message?.includes("quota")) {
-      return {
-        text: "I've hit the API rate limit. Please wait a moment and try again, or ask for more specific data with filters to reduce the response size.",
-        tools: [],
-      };
+    await discardRun(config, snapshot);
+    if (signal?.aborted) {
+      return { text: "", tools: [], aborted: true };
     }
+    const agentError = classifyAgentError(error, { requestId });
+    console.error(
+      `Agent execution error [${requestId}] (${agentError.type}):`,
+      error
+    );
+    throw agentError;
+  }
+}
 
-    // Handle other errors
-    if (error.message?.includes("Unknown content")) {
-      return {
-        text: "There was an issue processing the data. Please try asking for more specific information or use filters to narrow down the results.",
-        tools: [],
-      };
+// Which model wrote a reply: {model, fallback}, or undefined for old replies
+function answeredBy(message) {
+  return message?.response_metadata?.answered_by;
+}
+
+function contentToText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => (typeof part === "string" ? part : part?.text ?? ""))
+      .join("");
+  }
+  return "";
+}
+
+/**
+ * Streams the agent run as UI events instead of waiting for the final state.
+ * Takes the same arguments as runAgent.
+ *
+ * Yields, in order of occurrence:
+ *   {type: "text-delta", delta}
+ *   {type: "tool-call-start", toolCallId, name, input}
+ *   {type: "tool-result", toolCallId, name, output, artifact?} - the
+ *     artifact is what the UI draws for renderChart
+ *   {type: "tool-error", toolCallId, name, output, errorText} for failed calls
+ *   {type: "tool-denied", toolCallId, name, output} for calls the user refused
+ *   {type: "approval-requested", toolCallId, name, input, reasons} when a
+ *     call waits for the user's approval; the run then ends and is resumed
+ *     by calling streamAgent again with the `decisions`
+ *   {type: "done", text, model, awaitingApproval} - model is {model, fallback}: which model answered
+ * or a final {type: "error", message, error} if the run fails, where `error`
+ * is the AgentError's JSON (type, status, retryAfter, requestId).
+ * Aborting `signal` stops the run, including in-flight tool fetches. A
+ * consumer that stops iterating early leaves the thread as it was too.
+ */
+export async function* streamAgent(
+  userMessage,
+  threadId = "default",
+  { signal, requestId, profile, user, decisions, forkFrom } = {}
+) {
+  // Stops the run when the consumer stops reading before it ends
+  const stop = new AbortController();
+  const config = runConfig(threadId, {
+    signal: signal ? AbortSignal.any([signal, stop.signal]) : stop.signal,
+    profile,
+    user,
+  });
+  let snapshot = null;
+  let text = "";
+  let model;
+  let awaitingApproval = false;
+  let settled = false;
+  try {
+    snapshot = await snapshotThread(config);
+    const stream = await agent.stream(
+      await runInput(userMessage, decisions, config),
+      {
+        ...(forkFrom ? await forkConfig(config, forkFrom) : config),
+        // "messages" carries LLM token chunks, "updates" carries whole node outputs
+        streamMode: ["messages", "updates"],
+      }
+    );
+
+    for await (const [mode, chunk] of stream) {
+      if (mode === "messages") {
+        const [message, metadata] = chunk;
+        if (metadata?.langgraph_node !== "agent") continue;
+        if (message?._getType?.() !== "ai") continue;
+        const delta = contentToText(message.content);
+        if (delta) {
+          text += delta;
+          yield { type: "text-delta", delta };
+        }
+        continue;
+      }
+
+      for (const pending of chunk?.__interrupt__ ?? []) {
+        if (pending.value?.type !== "tool_approval") continue;
+        const { toolCallId, name, input, reasons } = pending.value;
+        awaitingApproval = true;
+        yield { type: "approval-requested", toolCallId, name, input, reasons };
+      }
+
+      for (const m of chunk?.agent?.messages ?? []) {
+        model = answeredBy(m) ?? model;
+        for (const call of Array.isArray(m?.tool_calls) ? m.tool_calls : []) {
+          yield {
+            type: "tool-call-start",
+            toolCallId: call.id,
+            name: call.name,
+            input: call.args ?? {},
+          };
+        }
+      }
+
+      for (const m of chunk?.tools?.messages ?? []) {
+        const output = redactToolResult(
+          typeof m.content === "string" ? m.content : JSON.stringify(m.content)
+        );
+        yield m.status === "error"
+          ? {
+              type: "tool-error",
+              toolCallId: m.tool_call_id,
+              name: m.name,
+              output,
+              errorText: toolErrorText(output),
+            }
+          : {
+              type: isDeniedOutput(output) ? "tool-denied" : "tool-result",
+              toolCallId: m.tool_call_id,
+              name: m.name,
+              output,
+              ...(m.artifact !== undefined ? { artifact: m.artifact } : {}),
+            };
+      }
     }
 
-    return {
-      text: "I encountered an error while processing your request. Please try again with a more specific query.",
-      tools: [],
+    settled = true;
+    yield { type: "done", text, model, awaitingApproval };
+  } catch (error) {
+    settled = true;
+    // Leave the thread as it was before this turn
+    await discardRun(config, snapshot);
+    // Nobody is listening any more
+    if (signal?.aborted) return;
+    const agentError = classifyAgentError(error, { requestId });
+    console.error(
+      `Agent stream error [${requestId}] (${agentError.type}):`,
+      error
+    );
+    yield {
+      type: "error",
+      message: agentError.message,
+      error: agentError.toJSON(),
     };
+  } finally {
+    // The consumer stopped reading mid-run (see toSSEStream's cancel)
+    if (!settled) {
+      stop.abort();
+      await discardRun(config, snapshot);
+    }
   }
 }
+
+/**
+ * Rebuilds the chat UI's message list from a thread's checkpointed state.
+ * Each assistant turn collapses the AI/tool messages between two user messages
+ * into one bubble carrying its tool calls.
+ * A message with alternatives on other branches carries `branch`: {index,
+ * ids}, where `ids` lists a message id per alternative (see switchBranch).
+ */
+export async function getThreadMessages(threadId) {
+  const state = await agent.getState({
+    configurable: { thread_id: String(threadId) },
+  });
+  const lcMessages = state?.values?.messages ?? [];
+  const approvals = approvalsOf(state);
+  const branches = await threadBranches(threadId, lcMessages);
+  const branchOf = (parentId, id) => {
+    const ids = branches.get(parentId) ?? [];
+    return ids.length > 1 ? { index: ids.indexOf(id), ids } : undefined;
+  };
+  const messages = [];
+  let turn = [];
+  let turnBranch;
+  let parentId = "";
+
+  const flushTurn = () => {
+    if (turn.length === 0) return;
+    const lastAi = [...turn].reverse().find((m) => m._getType() === "ai");
+    messages.push({
+      role: "assistant",
+      content: contentToText(lastAi?.content),
+      tools: markPending(collectTools(turn), approvals),
+      model: answeredBy(lastAi),
+      id: lastAi?.id || crypto.randomUUID(),
+      ...(turnBranch ? { branch: turnBranch } : {}),
+    });
+    turn = [];
+  };
+
+  for (const m of lcMessages) {
+    const type = m._getType();
+    if (type === "human") {
+      flushTurn();
+      const branch = branchOf(parentId, m.id);
+      messages.push({
+        role: "user",
+        content: contentToText(m.content),
+        id: m.id || crypto.randomUUID(),
+        ...(branch ? { branch } : {}),
+      });
+    } else if (type === "ai" || type === "tool") {
+      if (turn.length === 0) turnBranch = branchOf(parentId, m.id);
+      turn.push(m);
+    }
+    parentId = m.id;
+  }
+  flushTurn();
+
+  return messages;
+}
+
+export async function deleteThreadState(threadId) {
+  await agentCheckpointer.deleteThread(String(threadId));
+}
@@ -0,0 +1,79 @@
+// src/lib/llmProviders.js
+
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { ChatOpenAI } from "@langchain/openai";
+import fs from "node:fs";
+import { LLM_CONFIG } from "./config.js";
+import { DEFAULT_SCRIPT, ScriptedChatModel } from "./scriptedChatModel.js";
+
+/**
+ * Chat model factories keyed by provider name. Each receives the merged
+ * LLM config and returns a LangChain chat model that supports tool binding,
+ * so createReactAgent can drive any of them unchanged. `maxRetries` is the
+ * client's own retry count (left to the client default when undefined).
+ */
+const providers = {
+  gemini: ({ model, temperature, apiKey, maxRetries }) =>
+    new ChatGoogleGenerativeAI({
+      model: model || "gemini-2.5-flash",
+      temperature,
+      apiKey: apiKey || process.env.GEMINI_API_KEY,
+      maxRetries,
+    }),
+
+  // Any OpenAI-compatible endpoint: OpenAI itself, Ollama, llama.cpp server, vLLM...
+  openai: ({ model, temperature, apiKey, baseURL, maxRetries }) =>
+    new ChatOpenAI({
+      model: model || "gpt-4o-mini",
+      maxRetries,
+      temperature,
+      // Local servers ignore the key, but the client refuses to start without one
+      apiKey: apiKey || process.env.OPENAI_API_KEY || "not-needed",
+      configuration: baseURL ? { baseURL } : undefined,
+    }),
+
+  scripted: ({ scriptFile }) =>
+    new ScriptedChatModel({
+      script: scriptFile
+        ? JSON.parse(fs.readFileSync(scriptFile, "utf8"))
+        : DEFAULT_SCRIPT,
+    }),
+};
+
+/**
+ * Adds or replaces a provider factory.
+ */
+export function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+export function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Name a model is shown under in the UI, e.g. "gemini:gemini-2.5-flash".
+ * `options` are the settings it was created with.
+ */
+export function modelLabel(model, options = {}) {
+  const { provider = LLM_CONFIG.provider } = options;
+  const name = options.model || model?.model || model?.modelName;
+  return name ? `${provider}:${name}` : provider;
+}
+
+/**
+ * Builds the chat model for the configured provider.
+ * `overrides` take precedence over the LLM_* environment settings.
+ */
+export function createChatModel(overrides = {}) {
+  const options = { ...LLM_CONFIG, ...overrides };
+  const factory = providers[options.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${
+        options.provider
+      }". Expected one of: ${listProviders().join(", ")}`
+    );
+  }
+  return factory(options);
+}
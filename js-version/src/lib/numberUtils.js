@@ -0,0 +1,16 @@
+// src/lib/numberUtils.js
+
+/**
+ * Reads a finite number from a record value, accepting numeric strings as the
+ * upstream APIs often send them. Returns null for anything else.
+ */
+export function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && value.trim() !== "") {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+export const round2 = (value) => Math.round(value * 100) / 100;
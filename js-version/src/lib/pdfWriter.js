@@ -0,0 +1,205 @@
+// src/lib/pdfWriter.js
+
+import { deflateSync } from "node:zlib";
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const LINE_HEIGHT = 1.35;
+
+// The standard 14 fonts need no embedding
+const FONTS = { F1: "Helvetica", F2: "Helvetica-Bold", F3: "Courier" };
+// Average glyph width as a share of the font size, used for wrapping
+const CHAR_WIDTH = { F1: 0.52, F2: 0.56, F3: 0.6 };
+
+const STYLES = {
+  title: { font: "F2", size: 16, gap: 0 },
+  heading: { font: "F2", size: 12, gap: 14 },
+  subheading: { font: "F2", size: 10, gap: 8 },
+  text: { font: "F1", size: 10, gap: 4 },
+  muted: { font: "F1", size: 8, gap: 2, gray: 0.4 },
+  mono: { font: "F3", size: 8, gap: 4, truncate: true },
+};
+
+// WinAnsi has no glyphs for these; anything else outside Latin-1 becomes "?"
+const REPLACEMENTS = {
+  "₹": "Rs.",
+  "…": "...",
+  "–": "-",
+  "—": "-",
+  "‘": "'",
+  "’": "'",
+  "“": '"',
+  "”": '"',
+  "•": "-",
+  "\t": "    ",
+};
+
+const NOT_WIN_ANSI = /[^\x20-\x7e\xa0-\xff]/g;
+
+function toWinAnsi(text) {
+  return String(text).replace(NOT_WIN_ANSI, (ch) => REPLACEMENTS[ch] ?? "?");
+}
+
+/**
+ * Whether writePdf can show every character of `text`. No font is embedded,
+ * so scripts such as Devanagari come out as "?".
+ */
+export function pdfCanShow(text) {
+  return [...String(text).matchAll(NOT_WIN_ANSI)].every(
+    ([ch]) => ch in REPLACEMENTS || ch === "\n" || ch === "\r"
+  );
+}
+
+const escapeString = (text) => text.replace(/[\\()]/g, (ch) => `\\${ch}`);
+
+// Word-wraps a paragraph to `width` characters, splitting overlong words
+function wrap(paragraph, width) {
+  const lines = [];
+  let line = "";
+  for (let word of paragraph.split(/ +/)) {
+    while (word.length > width) {
+      if (line) lines.push(line);
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+      line = "";
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+// Splits blocks into positioned lines, page by page
+function layout(blocks) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const { style = "text", text } of blocks) {
+    const { font, size, gap, gray, truncate } = STYLES[style] ?? STYLES.text;
+    const width = Math.floor(CONTENT_WIDTH / (size * CHAR_WIDTH[font]));
+    const lines = String(text ?? "")
+      .replace(/\r/g, "")
+      .split("\n")
+      .map(toWinAnsi)
+      .flatMap((line) =>
+        truncate
+          ? [line.length > width ? `${line.slice(0, width - 3)}...` : line]
+          : wrap(line, width)
+      );
+    if (pages.at(-1).length > 0) y -= gap;
+
+    for (const line of lines) {
+      const height = size * LINE_HEIGHT;
+      if (y - height < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= height;
+      pages.at(-1).push({ font, size, gray, y, text: line });
+    }
+  }
+  return pages;
+}
+
+function pageContent(lines, footer) {
+  const ops = [
+    ...lines,
+    { font: "F1", size: 8, gray: 0.4, y: MARGIN / 2, text: footer },
+  ]
+    .filter(({ text }) => text)
+    .map(
+      ({ font, size, gray = 0, y, text }) =>
+        `${gray} g BT /${font} ${size} Tf ${MARGIN} ${y.toFixed(
+          2
+        )} Td (${escapeString(text)}) Tj ET`
+    );
+  return Buffer.from(ops.join("\n"), "latin1");
+}
+
+const pdfDate = (date) =>
+  `D:${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+
+/**
+ * Renders text blocks as a paginated A4 PDF with a "title - page x of n"
+ * footer. Each block is {style, text} where style is one of title, heading,
+ * subheading, text, muted or mono; text wraps at word boundaries, mono lines
+ * are cut at the margin so tables stay aligned. Only WinAnsi (Latin-1)
+ * characters can be shown, others become "?" (see pdfCanShow). Returns a
+ * Buffer.
+ */
+export function writePdf(
+  blocks,
+  { title = "Document", now = new Date() } = {}
+) {
+  const pages = layout(blocks);
+  const fontIds = Object.keys(FONTS);
+  // 1 catalog, 2 page tree, then fonts, info, and a page + content pair per page
+  const firstPage = 3 + fontIds.length + 1;
+  const pageIds = pages.map((_, i) => firstPage + 2 * i);
+  const fontRefs = fontIds.map((id, i) => `/${id} ${3 + i} 0 R`).join(" ");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(" ")}] /Count ${pages.length} >>`,
+    ...fontIds.map(
+      (id) =>
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[id]} /Encoding /WinAnsiEncoding >>`
+    ),
+    `<< /Title (${escapeString(toWinAnsi(title))}) /CreationDate (${pdfDate(
+      now
+    )}) >>`,
+    ...pages.flatMap((lines, i) => {
+      const content = deflateSync(
+        pageContent(
+          lines,
+          `${toWinAnsi(title)} - page ${i + 1} of ${pages.length}`
+        )
+      );
+      return [
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontRefs} >> >> /Contents ${
+          pageIds[i] + 1
+        } 0 R >>`,
+        Buffer.concat([
+          Buffer.from(
+            `<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`
+          ),
+          content,
+          Buffer.from("\nendstream"),
+        ]),
+      ];
+    }),
+  ];
+
+  const parts = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let length = parts[0].length;
+  const offsets = objects.map((body, i) => {
+    const offset = length;
+    const object = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+      Buffer.from("\nendobj\n"),
+    ]);
+    parts.push(object);
+    length += object.length;
+    return offset;
+  });
+
+  const xref =
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${
+      3 + fontIds.length
+    } 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+  parts.push(Buffer.from(xref, "latin1"));
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,134 @@
+// src/lib/promptProfiles.js
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+  APP_TIME_ZONE,
+  DEFAULT_PROMPT_PROFILE,
+  PROMPTS_DIR,
+} from "./config.js";
+import { financialYearStart, formatDay } from "./dateUtils.js";
+import { describeEndpoints } from "./endpointRegistry.js";
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Outside production, profiles are re-read whenever their file changes
+const HOT_RELOAD = process.env.NODE_ENV !== "production";
+
+const cache = new Map(); // name -> {mtimeMs, profile}
+
+/**
+ * Splits an optional `---` frontmatter block of `key: value` lines off the
+ * Markdown body.
+ */
+function parseProfile(name, source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const meta = {};
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const pair = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+      if (pair) meta[pair[1]] = pair[2];
+    }
+  }
+  return {
+    name,
+    label: meta.label || name,
+    description: meta.description || "",
+    template: (match ? source.slice(match[0].length) : source).trim(),
+  };
+}
+
+function profilePath(name) {
+  return path.join(PROMPTS_DIR, `${name}.md`);
+}
+
+/**
+ * Loads a profile by name, or returns null if there is no such file.
+ */
+export function loadProfile(name) {
+  if (typeof name !== "string" || !PROFILE_NAME.test(name)) return null;
+  const cached = cache.get(name);
+  if (cached && !HOT_RELOAD) return cached.profile;
+
+  let stat;
+  try {
+    stat = fs.statSync(profilePath(name));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Failed to read prompt profile "${name}":`, error);
+    }
+    cache.delete(name);
+    return null;
+  }
+  if (cached?.mtimeMs === stat.mtimeMs) return cached.profile;
+
+  const profile = parseProfile(
+    name,
+    fs.readFileSync(profilePath(name), "utf8")
+  );
+  cache.set(name, { mtimeMs: stat.mtimeMs, profile });
+  return profile;
+}
+
+/**
+ * Lists the available profiles as {name, label, description}, default first.
+ */
+export function listProfiles() {
+  let files;
+  try {
+    files = fs.readdirSync(PROMPTS_DIR);
+  } catch (error) {
+    console.error(`Failed to list prompt profiles in ${PROMPTS_DIR}:`, error);
+    return [];
+  }
+  return files
+    .filter((file) => file.endsWith(".md"))
+    .map((file) => loadProfile(file.slice(0, -3)))
+    .filter(Boolean)
+    .map(({ name, label, description }) => ({ name, label, description }))
+    .sort((a, b) =>
+      a.name === DEFAULT_PROMPT_PROFILE
+        ? -1
+        : b.name === DEFAULT_PROMPT_PROFILE
+        ? 1
+        : a.label.localeCompare(b.label)
+    );
+}
+
+function financialYearLabel(now) {
+  const start = Number(formatDay(financialYearStart(now)).slice(0, 4));
+  return `FY ${start}-${String(start + 1).slice(-2)}`;
+}
+
+/**
+ * Renders a profile's template. Placeholders: {{current_date}},
+ * {{financial_year}}, {{user_role}}, {{endpoints}} and {{profile}}; unknown
+ * placeholders are left as they are. Unknown profile names fall back to the
+ * default profile.
+ */
+export function renderSystemPrompt(name, { userRole, now = new Date() } = {}) {
+  const profile =
+    loadProfile(name || DEFAULT_PROMPT_PROFILE) ??
+    loadProfile(DEFAULT_PROMPT_PROFILE);
+  if (!profile) {
+    throw new Error(
+      `Prompt profile "${DEFAULT_PROMPT_PROFILE}" not found in ${PROMPTS_DIR}`
+    );
+  }
+  const vars = {
+    current_date: now.toLocaleDateString("en-IN", {
+      timeZone: APP_TIME_ZONE,
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    }),
+    financial_year: financialYearLabel(now),
+    user_role: userRole || "a member of the sales team",
+    endpoints: describeEndpoints(),
+    profile: profile.label,
+  };
+  return profile.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    key in vars ? vars[key] : placeholder
+  );
+}
@@ -0,0 +1,241 @@
+// src/lib/queryFilters.js
+
+import { isDateOnly, parseDate, resolvePeriod } from "./dateUtils.js";
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Coerces a record value and a filter operand to comparable primitives.
+ * String-encoded numbers compare numerically and dates compare by timestamp,
+ * using the registry field type when known and the values' shape otherwise.
+ */
+function coercePair(actual, expected, type) {
+  const asNumber = (v) =>
+    typeof v === "number"
+      ? v
+      : typeof v === "string" && NUMERIC.test(v.trim())
+      ? Number(v)
+      : null;
+
+  if (type !== "string" && type !== "date") {
+    const a = asNumber(actual);
+    const b = asNumber(expected);
+    if (a !== null && b !== null) return [a, b];
+  }
+
+  if (type !== "string" && type !== "number") {
+    const a = parseDate(actual);
+    const b = parseDate(expected);
+    if (a !== null && b !== null) return [a, b];
+  }
+
+  return [actual, expected];
+}
+
+function isEqual(actual, expected, type) {
+  if (actual === expected) return true;
+  if (actual == null || expected == null) return false;
+  const [a, b] = coercePair(actual, expected, type);
+  return a === b;
+}
+
+function compare(actual, expected, type) {
+  if (actual == null || expected == null) return null;
+  const [a, b] = coercePair(actual, expected, type);
+  if (typeof a !== typeof b) return null;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Patterns come from the model and run against every record
+const MAX_REGEX_LENGTH = 100;
+
+/**
+ * Whether a quantified group contains a quantifier itself, e.g. (a+)+ or
+ * (\w*x)*: such patterns can backtrack exponentially on a near miss.
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = [{ quantified: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "\\") {
+      i++;
+    } else if (ch === "[") {
+      // A character class cannot nest groups or quantifiers
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    } else if (ch === "(") {
+      groups.push({ quantified: false });
+    } else if (ch === ")" && groups.length > 1) {
+      const { quantified } = groups.pop();
+      if (quantified && "*+{".includes(pattern[i + 1] ?? " ")) return true;
+      if (quantified) groups.at(-1).quantified = true;
+    } else if ("*+{".includes(ch)) {
+      groups.at(-1).quantified = true;
+    }
+  }
+  return false;
+}
+
+function toRegExp(pattern) {
+  const source = String(pattern);
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw new Error(
+      `$regex patterns are limited to ${MAX_REGEX_LENGTH} characters; use $contains or narrower filters`
+    );
+  }
+  if (hasNestedQuantifier(source)) {
+    throw new Error(
+      `$regex pattern "${source}" repeats a repeated group, which is not allowed; simplify it or use $contains`
+    );
+  }
+  try {
+    return new RegExp(pattern, "i");
+  } catch (error) {
+    throw new Error(`Invalid $regex pattern "${pattern}": ${error.message}`);
+  }
+}
+
+function expectArray(operator, operand, length) {
+  if (!Array.isArray(operand) || (length && operand.length !== length)) {
+    throw new Error(
+      length
+        ? `${operator} expects an array of ${length} values`
+        : `${operator} expects an array`
+    );
+  }
+}
+
+// Wraps a comparison so values that cannot be ordered never match
+function ordered(test) {
+  return (actual, operand, type) => {
+    const result = compare(actual, operand, type);
+    return result !== null && test(result);
+  };
+}
+
+/**
+ * Field-level operators. Each receives the record's value, the operand and the
+ * field type, and returns whether the record passes.
+ */
+const OPERATORS = {
+  $eq: (actual, operand, type) => isEqual(actual, operand, type),
+  $ne: (actual, operand, type) => !isEqual(actual, operand, type),
+  $gt: ordered((result) => result > 0),
+  $gte: ordered((result) => result >= 0),
+  $lt: ordered((result) => result < 0),
+  $lte: ordered((result) => result <= 0),
+  $in: (actual, operand, type) => {
+    expectArray("$in", operand);
+    return operand.some((value) => isEqual(actual, value, type));
+  },
+  $nin: (actual, operand, type) => {
+    expectArray("$nin", operand);
+    return !operand.some((value) => isEqual(actual, value, type));
+  },
+  $between: (actual, operand, type) => {
+    expectArray("$between", operand, 2);
+    const [low, high] = operand;
+    const aboveLow = compare(actual, low, type);
+    if (aboveLow === null || aboveLow < 0) return false;
+    // A date-only upper bound includes that whole day, as in dateRange
+    if (type !== "string" && type !== "number" && isDateOnly(high)) {
+      const time = parseDate(actual);
+      return time !== null && time < resolvePeriod({ to: high }).end.getTime();
+    }
+    const belowHigh = compare(actual, high, type);
+    return belowHigh !== null && belowHigh <= 0;
+  },
+  $contains: (actual, operand) =>
+    actual != null &&
+    String(actual).toLowerCase().includes(String(operand).toLowerCase()),
+  $regex: (actual, operand) => actual != null && toRegExp(operand).test(actual),
+  $period: (actual, operand) => {
+    const time = parseDate(actual);
+    if (time === null) return false;
+    const { start, end } = resolvePeriod(operand);
+    return time >= start.getTime() && time < end.getTime();
+  },
+};
+
+export const FILTER_OPERATORS = [...Object.keys(OPERATORS), "$or", "$and"];
+
+function matchesCondition(item, field, condition, fieldTypes) {
+  const type = fieldTypes?.[field]?.type;
+  const actual = item?.[field];
+
+  if (
+    condition &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    !(condition instanceof Date)
+  ) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      const test = OPERATORS[operator];
+      if (!test) {
+        throw new Error(
+          `Unsupported filter operator "${operator}" on ${field}. Supported: ${FILTER_OPERATORS.join(
+            ", "
+          )}`
+        );
+      }
+      return test(actual, operand, type);
+    });
+  }
+
+  // Bare arrays mean "any of these values"
+  if (Array.isArray(condition)) {
+    return OPERATORS.$in(actual, condition, type);
+  }
+
+  return isEqual(actual, condition, type);
+}
+
+/**
+ * Tests one record against a filter object.
+ *
+ * Keys are field names mapped to a value (equality) or an operator object,
+ * e.g. {TOTAL_ORDER_VALUE: {$gte: 5000, $lt: 10000}}. Conditions are ANDed;
+ * `$or` / `$and` take arrays of nested filter objects.
+ * `fieldTypes` is the registry's field map, used to coerce values.
+ */
+export function matchesFilters(item, filters, fieldTypes) {
+  return Object.entries(filters).every(([key, condition]) => {
+    if (key === "$or" || key === "$and") {
+      expectArray(key, condition);
+      const test = (nested) => matchesFilters(item, nested, fieldTypes);
+      return key === "$or" ? condition.some(test) : condition.every(test);
+    }
+    return matchesCondition(item, key, condition, fieldTypes);
+  });
+}
+
+/**
+ * Turns the tool's `dateRange` argument into a `$period` filter condition.
+ * The field defaults to the endpoint's first date-typed field.
+ */
+export function dateRangeFilter({ field, period, from, to }, fieldTypes = {}) {
+  const dateField =
+    field ??
+    Object.keys(fieldTypes).find((name) => fieldTypes[name].type === "date");
+  if (!dateField) {
+    throw new Error("dateRange needs a field: this endpoint has no date field");
+  }
+  return { [dateField]: { $period: period ?? { from, to } } };
+}
+
+/**
+ * Names of the fields a filter object refers to, including inside $or/$and.
+ */
+export function filterFields(filters) {
+  if (!filters || typeof filters !== "object") return [];
+  return [
+    ...new Set(
+      Object.entries(filters).flatMap(([key, condition]) =>
+        key === "$or" || key === "$and"
+          ? [].concat(condition).flatMap(filterFields)
+          : [key]
+      )
+    ),
+  ];
+}
@@ -0,0 +1,121 @@
+// src/lib/redaction.js
+
+import { ToolMessage } from "@langchain/core/messages";
+import { ENDPOINTS } from "./endpointRegistry.js";
+
+// Fields that are dropped wherever they appear, whatever the endpoint allows
+const SECRET_FIELD =
+  /(^|_)(PASSWORD|PASSWD|PWD|PASS|SECRET|TOKEN|OTP|API_?KEY)(_|$)/i;
+
+// Identifiers (EMP_ID, CUSTOMER_ID, EMP_CODE...) can look like phone numbers
+const KEY_FIELD = /(^|_)(ID|CODE)$/i;
+
+const EMAIL =
+  /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+// Indian mobile numbers, optionally with +91/91 and a space or dash
+const PHONE = /(?<![\w+.])(?:\+?91[\s-]?)?[6-9]\d{4}[\s-]?\d{5}(?![\w.])/g;
+
+function maskPhone(phone) {
+  const digits = phone.replace(/\D/g, "");
+  return `******${digits.slice(-4)}`;
+}
+
+/**
+ * Masks e-mail addresses (first character and domain kept) and mobile
+ * numbers (last four digits kept) in free text.
+ */
+export function maskText(text) {
+  return text
+    .replace(EMAIL, (_, first, domain) => `${first}***@${domain}`)
+    .replace(PHONE, maskPhone);
+}
+
+function redactValue(value, field = "") {
+  if (typeof value === "string") {
+    return KEY_FIELD.test(field) ? value : maskText(value);
+  }
+  if (Array.isArray(value))
+    return value.map((item) => redactValue(item, field));
+  if (value && typeof value === "object") {
+    const redacted = {};
+    for (const [key, item] of Object.entries(value)) {
+      // Joined fields are named "<endpoint>.<FIELD>"
+      const name = key.slice(key.lastIndexOf(".") + 1);
+      if (!SECRET_FIELD.test(name)) redacted[key] = redactValue(item, name);
+    }
+    return redacted;
+  }
+  return value;
+}
+
+/**
+ * Applies an endpoint's `redaction` policy to its raw records: fields outside
+ * `allow` or in `deny` are dropped, secret-looking fields always are, and
+ * e-mail addresses and phone numbers in the remaining values are masked.
+ */
+export function redactRecords(endpoint, rows) {
+  const spec = ENDPOINTS[endpoint];
+  const { allow, deny } = spec.redaction;
+  const allowed =
+    allow === "declared"
+      ? new Set(Object.keys(spec.fields))
+      : Array.isArray(allow)
+      ? new Set(allow)
+      : null;
+  const denied = new Set(deny);
+  return rows.map((row) => {
+    if (!row || typeof row !== "object") return row;
+    const kept = {};
+    for (const [field, value] of Object.entries(row)) {
+      if ((!allowed || allowed.has(field)) && !denied.has(field)) {
+        kept[field] = value;
+      }
+    }
+    return redactValue(kept);
+  });
+}
+
+function redactContent(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (_) {
+    return maskText(content);
+  }
+  return JSON.stringify(redactValue(parsed));
+}
+
+/**
+ * Last pass over a tool's result (a string or a ToolMessage) before it is
+ * handed to the model and the UI: secret-looking fields are dropped and
+ * contact details masked anywhere in the JSON, or in plain text results.
+ */
+export function redactToolResult(result) {
+  if (typeof result === "string") return redactContent(result);
+  if (typeof result?.content === "string") {
+    result.content = redactContent(result.content);
+    if (result.lc_kwargs) result.lc_kwargs.content = result.content;
+  }
+  return result;
+}
+
+/**
+ * Redacts a checkpointed message on its way back into the model's prompt.
+ * Tool results checkpointed before redaction existed must not reach the
+ * model; other messages are returned as they are.
+ */
+export function redactHistoryMessage(message) {
+  if (!ToolMessage.isInstance(message) || typeof message.content !== "string") {
+    return message;
+  }
+  const content = redactContent(message.content);
+  return content === message.content
+    ? message
+    : new ToolMessage({
+        id: message.id,
+        name: message.name,
+        status: message.status,
+        tool_call_id: message.tool_call_id,
+        content,
+      });
+}
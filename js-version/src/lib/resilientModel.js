@@ -0,0 +1,103 @@
+// src/lib/resilientModel.js
+
+import { RunnableLambda } from "@langchain/core/runnables";
+import { LLM_RETRY_CONFIG } from "./config.js";
+import { classifyAgentError, retryAfterOf } from "./agentErrors.js";
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Records on the reply which model produced it. Set on lc_kwargs as well so
+ * it survives checkpoint serialization.
+ */
+function tagAnsweredBy(message, answeredBy) {
+  const metadata = { ...message.response_metadata, answered_by: answeredBy };
+  message.response_metadata = metadata;
+  if (message.lc_kwargs) message.lc_kwargs.response_metadata = metadata;
+  return message;
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): jittered exponential backoff,
+ * but never shorter than the provider's retry-after hint. Returns null when
+ * the hint is longer than we are willing to wait.
+ */
+function retryDelayMs(error, attempt, { baseMs, maxDelayMs }) {
+  const hintMs = (retryAfterOf(error) ?? 0) * 1000;
+  if (hintMs > maxDelayMs) return null;
+  const backoff = baseMs * 2 ** attempt * (0.5 + Math.random() / 2);
+  return Math.round(Math.min(Math.max(backoff, hintMs), maxDelayMs));
+}
+
+/**
+ * Wraps the agent's chat model with rate-limit handling. A rate-limited call
+ * is retried with backoff; once retries run out (or the provider asks for a
+ * longer wait than `retry.maxDelayMs`) the `fallback` model answers instead.
+ * Other errors are thrown unchanged.
+ *
+ * `primary` and `fallback` are {model, label}; tools are bound to both.
+ * Every reply carries response_metadata.answered_by = {model, fallback}.
+ * Returns a runnable for createReactAgent's dynamic `llm` option.
+ */
+export function createResilientModel({
+  primary,
+  fallback = null,
+  tools,
+  retry = LLM_RETRY_CONFIG,
+}) {
+  const primaryModel = primary.model.bindTools(tools);
+  const fallbackModel = fallback?.model.bindTools(tools);
+
+  return RunnableLambda.from(async (input, config) => {
+    const signal = config?.signal;
+    let lastError;
+    for (let attempt = 0; attempt <= retry.retries; attempt++) {
+      try {
+        const reply = await primaryModel.invoke(input, config);
+        return tagAnsweredBy(reply, { model: primary.label, fallback: false });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        if (classifyAgentError(error).type !== "rate_limited") throw error;
+        lastError = error;
+        if (attempt === retry.retries) break;
+        const delay = retryDelayMs(error, attempt, retry);
+        if (delay === null) break;
+        console.warn(
+          `Model ${
+            primary.label
+          } rate-limited; retrying in ${delay} ms (attempt ${attempt + 1}/${
+            retry.retries
+          })`
+        );
+        await sleep(delay, signal);
+      }
+    }
+
+    if (!fallbackModel) throw lastError;
+    console.warn(
+      `Model ${primary.label} rate-limited; using ${fallback.label}`
+    );
+    try {
+      const reply = await fallbackModel.invoke(input, config);
+      return tagAnsweredBy(reply, { model: fallback.label, fallback: true });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // The user-facing problem is still the primary's rate limit
+      console.error(`Fallback model ${fallback.label} failed:`, error);
+      throw lastError;
+    }
+  }).withConfig({ runName: "ResilientChatModel" });
+}
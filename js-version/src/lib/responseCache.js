@@ -0,0 +1,163 @@
+// src/lib/responseCache.js
+
+import fs from "node:fs";
+import path from "node:path";
+import { CACHE_CONFIG } from "./config.js";
+
+function abortError(signal) {
+  return signal.reason ?? new DOMException("Aborted", "AbortError");
+}
+
+// Rejects as soon as the caller's signal aborts, without cancelling the promise
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError(signal));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * TTL cache for upstream API responses.
+ *
+ * Concurrent requests for the same key share one fetch. That fetch gets its
+ * own abort signal, which fires only once every caller waiting on it has
+ * aborted, so one cancelled run never fails another run's query.
+ * With a `file`, entries are mirrored to disk (temp file + rename, like the
+ * checkpointer) and reloaded on start, minus expired ones.
+ */
+export class ResponseCache {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.entries = new Map(); // key -> {value, expiresAt}
+    this.inflight = new Map(); // key -> {promise, controller, waiters}
+    this.counters = { hits: 0, misses: 0, deduped: 0, errors: 0 };
+    this.pendingFlush = Promise.resolve();
+    if (file) this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(stored)) {
+        if (entry.expiresAt > now) this.entries.set(key, entry);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to load API cache from ${this.file}:`, error);
+      }
+    }
+  }
+
+  flush() {
+    if (!this.file) return this.pendingFlush;
+    this.pendingFlush = this.pendingFlush
+      .then(async () => {
+        this.prune();
+        const json = JSON.stringify(Object.fromEntries(this.entries));
+        const tmpPath = `${this.file}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmpPath, json);
+        await fs.promises.rename(tmpPath, this.file);
+      })
+      .catch((error) => {
+        console.error(`Failed to persist API cache to ${this.file}:`, error);
+      });
+    return this.pendingFlush;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Returns the cached value for `key`, or runs `fetcher(signal)` and caches
+   * its result for `ttlMs`. A ttl of 0 bypasses the cache (but still
+   * de-duplicates concurrent fetches). Failed fetches are never cached.
+   */
+  async getOrFetch(key, ttlMs, fetcher, { signal } = {}) {
+    signal?.throwIfAborted();
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.counters.hits++;
+      return cached.value;
+    }
+    if (cached) this.entries.delete(key);
+
+    let pending = this.inflight.get(key);
+    if (pending) {
+      this.counters.deduped++;
+    } else {
+      this.counters.misses++;
+      const controller = new AbortController();
+      pending = { controller, waiters: 0 };
+      pending.promise = fetcher(controller.signal)
+        .then((value) => {
+          if (ttlMs > 0) {
+            this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            this.flush();
+          }
+          return value;
+        })
+        .catch((error) => {
+          this.counters.errors++;
+          throw error;
+        })
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, pending);
+    }
+
+    pending.waiters++;
+    const onAbort = () => {
+      if (--pending.waiters === 0) pending.controller.abort(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+      return await untilAborted(pending.promise, signal);
+    } finally {
+      if (!signal?.aborted) pending.waiters--;
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Drops every entry, or only those whose key starts with `prefix`.
+   */
+  clear(prefix = "") {
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+    return this.flush();
+  }
+
+  stats() {
+    const { hits, misses, deduped, errors } = this.counters;
+    const lookups = hits + misses + deduped;
+    this.prune();
+    return {
+      hits,
+      misses,
+      deduped,
+      errors,
+      hitRate: lookups
+        ? Math.round(((hits + deduped) / lookups) * 100) / 100
+        : 0,
+      entries: this.entries.size,
+      inflight: this.inflight.size,
+      store: this.file ? "disk" : "memory",
+    };
+  }
+}
+
+// Shared by every queryApiData call in this server process
+export const apiCache = new ResponseCache({
+  file: CACHE_CONFIG.store === "disk" ? CACHE_CONFIG.file : null,
+});
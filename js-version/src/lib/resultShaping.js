@@ -0,0 +1,255 @@
+// src/lib/resultShaping.js
+
+import { TOOL_RESULT_CONFIG } from "./config.js";
+import { parseDate } from "./dateUtils.js";
+import { round2, toNumber } from "./numberUtils.js";
+
+// JSON is roughly four characters per token for Gemini and OpenAI tokenizers
+const CHARS_PER_TOKEN = 4;
+// Most frequent values listed per categorical column
+const TOP_VALUES = 3;
+
+export function estimateTokens(value) {
+  return Math.ceil((JSON.stringify(value) ?? "").length / CHARS_PER_TOKEN);
+}
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+function summarizeColumn(values, type) {
+  const present = values.filter((value) => !isBlank(value));
+  const missing = values.length - present.length;
+  const base = missing ? { missing } : {};
+
+  const numbers = present.map(toNumber);
+  if (
+    type === "number" ||
+    (type === undefined &&
+      present.length > 0 &&
+      present.every((value) => typeof value === "number"))
+  ) {
+    const valid = numbers.filter((n) => n !== null);
+    if (valid.length === 0) return { type: "number", ...base };
+    const sum = valid.reduce((total, n) => total + n, 0);
+    return {
+      type: "number",
+      ...base,
+      min: valid.reduce((a, b) => Math.min(a, b)),
+      max: valid.reduce((a, b) => Math.max(a, b)),
+      mean: round2(sum / valid.length),
+      sum: round2(sum),
+    };
+  }
+
+  if (type === "date") {
+    const dated = present
+      .map((value) => ({ value, time: parseDate(value) }))
+      .filter(({ time }) => time !== null)
+      .sort((a, b) => a.time - b.time);
+    return {
+      type: "date",
+      ...base,
+      ...(dated.length
+        ? { earliest: dated[0].value, latest: dated.at(-1).value }
+        : {}),
+    };
+  }
+
+  const counts = new Map();
+  for (const value of present) {
+    const key = String(value);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  return {
+    type: "category",
+    ...base,
+    distinct: counts.size,
+    top: [...counts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ value, count })),
+  };
+}
+
+/**
+ * Per-column overview of the full result: min/max/mean/sum for numbers,
+ * earliest/latest for dates, distinct count and top values for the rest.
+ */
+export function summarizeColumns(rows, columns, fieldTypes = {}) {
+  return Object.fromEntries(
+    columns.map((column) => [
+      column,
+      summarizeColumn(
+        rows.map((row) => row?.[column]),
+        fieldTypes[column]?.type
+      ),
+    ])
+  );
+}
+
+/**
+ * Columns worth sending when rows must be trimmed: those the query mentions,
+ * then the endpoint's declared (and joined) fields, minus columns that are
+ * empty in every row.
+ */
+function relevantColumns(rows, mentioned, fieldTypes) {
+  return [...new Set([...mentioned, ...Object.keys(fieldTypes)])].filter(
+    (column) => rows.some((row) => !isBlank(row?.[column]))
+  );
+}
+
+function projectRow(row, columns) {
+  if (!columns) return row;
+  return Object.fromEntries(
+    columns.filter((column) => column in row).map((c) => [c, row[c]])
+  );
+}
+
+// As many rows from `offset` as fit in `budget` tokens, at least one,
+// each projected to `columns` unless that is null
+function takePage(rows, offset, budget, maxRows, columns = null) {
+  const page = [];
+  let used = 0;
+  for (let i = offset; i < rows.length && page.length < maxRows; i++) {
+    const row = projectRow(rows[i], columns);
+    used += estimateTokens(row) + 1;
+    if (used > budget && page.length > 0) break;
+    page.push(row);
+  }
+  return page;
+}
+
+// `unit` names what is paged: "records", or "groups" for aggregation results
+function pageInfo(total, offset, returned, cursorFor, unit = "records") {
+  const end = offset + returned;
+  const more = end < total;
+  if (returned === 0) {
+    return {
+      offset,
+      returned,
+      message: `No ${unit} after ${offset} of ${total}.`,
+    };
+  }
+  return {
+    offset,
+    returned,
+    ...(more ? { next_cursor: cursorFor(end) } : {}),
+    message: more
+      ? `Showing ${unit} ${
+          offset + 1
+        }-${end} of ${total}. For more, call fetchNextPage with cursor: next_cursor, or narrow the query with filters or an aggregation.`
+      : `Showing ${unit} ${offset + 1}-${end} of ${total} (last page).`,
+  };
+}
+
+/**
+ * Fits a list of records into the token budget. Small results come back
+ * unchanged as an array. Otherwise the rows are projected to the relevant
+ * columns (unless `fields` were requested), the full set is summarized per
+ * column, and the first page is returned with a `next_cursor` for the rest.
+ *
+ * `openCursor(snapshot, offset)` stores the rows for later pages (see
+ * continuePage) and returns the cursor; it is only called if there are more.
+ * The snapshot keeps the rows unprojected, with the projection in `columns`.
+ */
+export function shapeRows(
+  rows,
+  {
+    fields = null,
+    mentioned = [],
+    fieldTypes = {},
+    maxPageSize = Infinity,
+    budget = TOOL_RESULT_CONFIG.tokenBudget,
+    openCursor,
+  }
+) {
+  if (rows.length <= maxPageSize && estimateTokens(rows) <= budget) {
+    return rows;
+  }
+
+  const columns = fields ?? relevantColumns(rows, mentioned, fieldTypes);
+  const projection = fields ? null : columns;
+  const summary = summarizeColumns(rows, columns, fieldTypes);
+  const page = takePage(
+    rows,
+    0,
+    Math.max(budget - estimateTokens(summary), budget / 4),
+    maxPageSize,
+    projection
+  );
+  return {
+    total_records: rows.length,
+    columns: summary,
+    ...pageInfo(rows.length, 0, page.length, (next) =>
+      openCursor({ kind: "rows", rows, columns: projection, maxPageSize }, next)
+    ),
+    rows: page,
+  };
+}
+
+/**
+ * Pages an aggregation's `result` rows (e.g. thousands of groups) the same
+ * way; the aggregation's metadata is kept as is. `total_records` stays the
+ * number of records aggregated on every page, and `total_groups` is the
+ * number of result rows being paged.
+ */
+export function shapeAggregation(
+  output,
+  { budget = TOOL_RESULT_CONFIG.tokenBudget, openCursor }
+) {
+  if (estimateTokens(output) <= budget) return output;
+  const { result, ...meta } = output;
+  const page = takePage(
+    result,
+    0,
+    Math.max(budget - estimateTokens(meta), budget / 4),
+    Infinity
+  );
+  return {
+    ...meta,
+    total_groups: result.length,
+    ...pageInfo(
+      result.length,
+      0,
+      page.length,
+      (next) =>
+        openCursor(
+          {
+            kind: "aggregation",
+            rows: result,
+            totalRecords: meta.total_records,
+            maxPageSize: Infinity,
+          },
+          next
+        ),
+      "groups"
+    ),
+    result: page,
+  };
+}
+
+/**
+ * A later page of a stored snapshot, starting at `offset`. Column summaries
+ * and aggregation metadata came with the first page and are not repeated.
+ * `cursorFor(offset)` builds the cursor for the page after it.
+ */
+export function continuePage(
+  { kind, rows, columns = null, totalRecords, maxPageSize },
+  offset,
+  { budget = TOOL_RESULT_CONFIG.tokenBudget, cursorFor }
+) {
+  const page = takePage(rows, offset, budget, maxPageSize, columns);
+  if (kind === "aggregation") {
+    return {
+      total_records: totalRecords,
+      total_groups: rows.length,
+      ...pageInfo(rows.length, offset, page.length, cursorFor, "groups"),
+      result: page,
+    };
+  }
+  return {
+    total_records: rows.length,
+    ...pageInfo(rows.length, offset, page.length, cursorFor),
+    rows: page,
+  };
+}
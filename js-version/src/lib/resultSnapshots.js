@@ -0,0 +1,90 @@
+// src/lib/resultSnapshots.js
+
+import { randomUUID } from "node:crypto";
+import { RESULT_CURSOR_CONFIG } from "./config.js";
+
+/**
+ * In-memory store of paged query results. A snapshot is the complete
+ * filtered, sorted result of one query, so every page of a cursor comes from
+ * the same data even if the source changes meanwhile. Snapshots belong to the
+ * user who ran the query and expire after `ttlMs`. At most `maxEntries`
+ * snapshots and `maxRows` rows across them are held, oldest dropped first;
+ * the newest snapshot is always kept, however large.
+ */
+export class SnapshotStore {
+  constructor({ ttlMs, maxEntries, maxRows = Infinity }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxRows = maxRows;
+    this.entries = new Map(); // id -> {snapshot, owner, rows, expiresAt}, oldest first
+    this.totalRows = 0;
+  }
+
+  delete(id) {
+    this.totalRows -= this.entries.get(id).rows;
+    this.entries.delete(id);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.delete(id);
+    }
+    while (
+      this.entries.size > 1 &&
+      (this.entries.size > this.maxEntries || this.totalRows > this.maxRows)
+    ) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  save(snapshot, owner) {
+    const id = randomUUID();
+    const rows = snapshot.rows?.length ?? 0;
+    this.entries.set(id, {
+      snapshot,
+      owner,
+      rows,
+      expiresAt: Date.now() + this.ttlMs,
+    });
+    this.totalRows += rows;
+    this.prune();
+    return id;
+  }
+
+  /**
+   * Returns the snapshot, or null if it expired, never existed or belongs
+   * to someone else.
+   */
+  get(id, owner) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.expiresAt <= Date.now() || entry.owner !== owner) {
+      return null;
+    }
+    return entry.snapshot;
+  }
+}
+
+export const resultSnapshots = new SnapshotStore(RESULT_CURSOR_CONFIG);
+
+export function encodeCursor(snapshotId, offset) {
+  return Buffer.from(JSON.stringify({ s: snapshotId, o: offset })).toString(
+    "base64url"
+  );
+}
+
+/**
+ * Splits a cursor into {snapshotId, offset}; throws if it is malformed.
+ */
+export function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (_) {
+    decoded = null;
+  }
+  if (typeof decoded?.s !== "string" || !Number.isInteger(decoded.o)) {
+    throw new Error("Invalid cursor: pass next_cursor exactly as returned");
+  }
+  return { snapshotId: decoded.s, offset: decoded.o };
+}
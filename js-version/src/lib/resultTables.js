@@ -0,0 +1,37 @@
+// src/lib/resultTables.js
+
+const isRecord = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isRecordList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(isRecord);
+
+/**
+ * Finds the records in a tool result: a JSON array of objects, an
+ * aggregation's `result` rows or a paged result's `rows`. Returns
+ * {rows, columns} or null when the output is not tabular.
+ */
+export function tableFromOutput(output) {
+  let value = output;
+  if (typeof output === "string") {
+    try {
+      value = JSON.parse(output);
+    } catch (_) {
+      return null;
+    }
+  }
+  const rows = isRecordList(value)
+    ? value
+    : isRecordList(value?.result)
+    ? value.result
+    : isRecordList(value?.rows)
+    ? value.rows
+    : null;
+  if (!rows) return null;
+
+  // Aggregations list their columns in order; otherwise collect them from the rows
+  const columns = Array.isArray(value?.columns)
+    ? value.columns
+    : [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { rows, columns };
+}
@@ -0,0 +1,132 @@
+// src/lib/scriptedChatModel.js
+
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+
+/**
+ * Default script: answers every question by counting orders, then summarising.
+ */
+export const DEFAULT_SCRIPT = [
+  {
+    steps: [
+      {
+        tool_calls: [
+          {
+            name: "queryApiData",
+            args: { endpoint: "order_history", aggregation: { type: "count" } },
+          },
+        ],
+      },
+      "This is a scripted reply from the offline model. The tool result above shows the current order count.",
+    ],
+  },
+];
+
+/**
+ * Deterministic chat model that replays a script of replies and tool calls,
+ * so the agent can run without an API key or network access.
+ *
+ * A script is a list of scenarios `{match?, steps}`. The first scenario whose
+ * `match` regex fits the latest user message is used (one without `match`
+ * always fits). Within a user turn, step N is replayed after the model has
+ * already answered N times, so each turn starts again from the first step.
+ * A step is either a string reply or `{content?, tool_calls?: [{name, args}]}`.
+ */
+export class ScriptedChatModel extends BaseChatModel {
+  constructor({ script = DEFAULT_SCRIPT, delayMs = 0, ...rest } = {}) {
+    super(rest);
+    this.script = script;
+    this.delayMs = delayMs;
+  }
+
+  _llmType() {
+    return "scripted";
+  }
+
+  // Tool schemas are irrelevant to a replayed script
+  bindTools() {
+    return this;
+  }
+
+  nextStep(messages) {
+    const lastHumanIndex = messages.findLastIndex(
+      (m) => m._getType() === "human"
+    );
+    const question =
+      lastHumanIndex >= 0 ? String(messages[lastHumanIndex].content) : "";
+    const answered = messages
+      .slice(lastHumanIndex + 1)
+      .filter((m) => m._getType() === "ai").length;
+
+    const scenario =
+      this.script.find(
+        (s) => !s.match || new RegExp(s.match, "i").test(question)
+      ) ?? this.script[0];
+    const steps = scenario?.steps ?? [];
+    // Past the end of the script, keep repeating the final reply
+    const step = steps[Math.min(answered, steps.length - 1)] ?? "";
+    const toolCalls = (
+      typeof step === "string" ? [] : step.tool_calls ?? []
+    ).map((call, i) => ({
+      id: `scripted_${lastHumanIndex}_${answered}_${i}`,
+      name: call.name,
+      args: call.args ?? {},
+      type: "tool_call",
+    }));
+    return {
+      content: typeof step === "string" ? step : step.content ?? "",
+      toolCalls,
+    };
+  }
+
+  async _generate(messages) {
+    const { content, toolCalls } = this.nextStep(messages);
+    return {
+      generations: [
+        {
+          text: content,
+          message: new AIMessage({ content, tool_calls: toolCalls }),
+        },
+      ],
+    };
+  }
+
+  async *_streamResponseChunks(messages, _options, runManager) {
+    const { content, toolCalls } = this.nextStep(messages);
+
+    for (const word of content.match(/\S+\s*/g) ?? []) {
+      if (this.delayMs) {
+        await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+      }
+      const chunk = new ChatGenerationChunk({
+        text: word,
+        message: new AIMessageChunk({ content: word }),
+      });
+      yield chunk;
+      await runManager?.handleLLMNewToken(
+        word,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        { chunk }
+      );
+    }
+
+    if (toolCalls.length > 0) {
+      yield new ChatGenerationChunk({
+        text: "",
+        message: new AIMessageChunk({
+          content: "",
+          tool_call_chunks: toolCalls.map((call, index) => ({
+            id: call.id,
+            name: call.name,
+            args: JSON.stringify(call.args),
+            index,
+          })),
+        }),
+      });
+    }
+  }
+}
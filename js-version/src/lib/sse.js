@@ -0,0 +1,77 @@
+// src/lib/sse.js
+
+const encoder = new TextEncoder();
+
+/**
+ * Serializes one agent event as a Server-Sent Events frame.
+ * The event type is carried both as the SSE `event:` field and inside the JSON payload.
+ */
+export function encodeSSE(event) {
+  return encoder.encode(
+    `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+  );
+}
+
+/**
+ * Wraps an async iterable of agent events in a ReadableStream of SSE frames.
+ * Events are pulled as the consumer reads; cancelling the stream (e.g. the
+ * client disconnecting) returns the iterator so the run can clean up.
+ */
+export function toSSEStream(events) {
+  const iterator = events[Symbol.asyncIterator]();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(encodeSSE(value));
+      } catch (error) {
+        controller.enqueue(
+          encodeSSE({
+            type: "error",
+            message: error?.message || "Stream failed",
+          })
+        );
+        controller.close();
+      }
+    },
+    cancel() {
+      return iterator.return?.();
+    },
+  });
+}
+
+/**
+ * Reads a fetch Response body as SSE and yields the parsed JSON payloads.
+ */
+export async function* readSSE(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = frame
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (data) {
+        try {
+          yield JSON.parse(data);
+        } catch (_) {}
+      }
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+}
@@ -0,0 +1,146 @@
+// src/lib/threadStore.js
+
+import fs from "node:fs";
+import path from "node:path";
+import { THREADS_FILE } from "./config.js";
+
+const MAX_TITLE_CHARS = 60;
+
+// Serializes read-modify-write cycles on the index file
+let queue = Promise.resolve();
+
+async function readIndex() {
+  try {
+    return JSON.parse(await fs.promises.readFile(THREADS_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Failed to read thread index ${THREADS_FILE}:`, error);
+    }
+    return {};
+  }
+}
+
+async function writeIndex(index) {
+  const tmpPath = `${THREADS_FILE}.tmp`;
+  await fs.promises.mkdir(path.dirname(THREADS_FILE), { recursive: true });
+  await fs.promises.writeFile(tmpPath, JSON.stringify(index, null, 2));
+  await fs.promises.rename(tmpPath, THREADS_FILE);
+}
+
+function mutateIndex(mutate) {
+  const run = queue.then(async () => {
+    const index = await readIndex();
+    const result = mutate(index);
+    await writeIndex(index);
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+function titleFrom(text) {
+  const clean = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!clean) return "New chat";
+  return clean.length > MAX_TITLE_CHARS
+    ? `${clean.slice(0, MAX_TITLE_CHARS - 1)}…`
+    : clean;
+}
+
+function ownedBy(thread, owner) {
+  return Boolean(owner) && thread.owner === owner;
+}
+
+// Threads from before sign-in was required have no owner: the first signed-in
+// user to open or write to one claims it, and it is private from then on
+function claimable(thread, owner) {
+  return Boolean(owner) && !thread.owner;
+}
+
+function claimThread(threadId, owner) {
+  return mutateIndex((index) => {
+    const thread = index[threadId];
+    if (!thread || !(ownedBy(thread, owner) || claimable(thread, owner))) {
+      return null;
+    }
+    index[threadId] = { ...thread, owner };
+    return index[threadId];
+  });
+}
+
+/**
+ * Lists the conversation threads of `owner` (an EMP_ID), most recently
+ * active first.
+ * Each entry: {id, title, createdAt, updatedAt, owner, profile?}
+ */
+export async function listThreads(owner) {
+  const index = await readIndex();
+  return Object.values(index)
+    .filter((thread) => ownedBy(thread, owner))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Returns a thread of `owner`, or null if it does not exist or is someone else's.
+ * An unowned legacy thread is claimed by `owner`.
+ */
+export async function getThread(threadId, owner) {
+  const index = await readIndex();
+  const thread = index[threadId];
+  if (!thread) return null;
+  if (claimable(thread, owner)) return claimThread(threadId, owner);
+  return ownedBy(thread, owner) ? thread : null;
+}
+
+/**
+ * Registers activity on a thread, creating its entry on first use.
+ * The first user message becomes the title until the thread is renamed.
+ * A `profile` (system prompt profile name) replaces the thread's current one.
+ * Returns null, changing nothing, if the thread belongs to someone else.
+ * An unowned legacy thread is claimed by `owner`.
+ */
+export function touchThread(threadId, firstMessage, { owner, profile } = {}) {
+  return mutateIndex((index) => {
+    const now = new Date().toISOString();
+    const existing = index[threadId];
+    if (existing && !(ownedBy(existing, owner) || claimable(existing, owner))) {
+      return null;
+    }
+    index[threadId] = {
+      ...(existing ?? {
+        id: threadId,
+        title: titleFrom(firstMessage),
+        createdAt: now,
+      }),
+      owner,
+      updatedAt: now,
+      ...(profile ? { profile } : {}),
+    };
+    return index[threadId];
+  });
+}
+
+export function renameThread(threadId, title) {
+  return mutateIndex((index) => {
+    if (!index[threadId]) return null;
+    index[threadId] = { ...index[threadId], title: titleFrom(title) };
+    return index[threadId];
+  });
+}
+
+export function setThreadProfile(threadId, profile) {
+  return mutateIndex((index) => {
+    if (!index[threadId]) return null;
+    index[threadId] = { ...index[threadId], profile };
+    return index[threadId];
+  });
+}
+
+export function removeThread(threadId) {
+  return mutateIndex((index) => {
+    const existed = Boolean(index[threadId]);
+    delete index[threadId];
+    return existed;
+  });
+}
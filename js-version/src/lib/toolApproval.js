@@ -0,0 +1,89 @@
+// src/lib/toolApproval.js
+
+import { interrupt } from "@langchain/langgraph";
+import { ToolMessage } from "@langchain/core/messages";
+import { APPROVAL_CONFIG } from "./config.js";
+import { ENDPOINTS } from "./endpointRegistry.js";
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "object" && Object.keys(value).length === 0);
+
+/**
+ * Why a queryApiData call needs the user's approval under the endpoints'
+ * `approval` policies, or [] if it may run straight away.
+ */
+export function approvalReasons({
+  endpoint,
+  filters,
+  dateRange,
+  topK,
+  aggregation,
+  join,
+}) {
+  if (!APPROVAL_CONFIG.enabled) return [];
+  const reasons = [];
+  const policy = ENDPOINTS[endpoint]?.approval;
+  const unfiltered =
+    isEmpty(filters) && isEmpty(dateRange) && !topK && isEmpty(aggregation);
+  if (
+    policy &&
+    (policy.when === "always" || (policy.when === "unfiltered" && unfiltered))
+  ) {
+    reasons.push(policy.reason);
+  }
+  for (const { endpoint: related } of join ?? []) {
+    const joined = ENDPOINTS[related]?.approval;
+    if (joined?.when === "always" && !reasons.includes(joined.reason)) {
+      reasons.push(joined.reason);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Pauses the run with a LangGraph interrupt until the user approves or denies
+ * the call. The interrupt value is what the UI shows:
+ * {type: "tool_approval", toolCallId, name, input, reasons}. Each paused call
+ * is resumed by its own interrupt with the decision {toolCallId, approved};
+ * one meant for another call counts as a denial. Must not be called inside a
+ * try block that swallows errors.
+ */
+export function requestApproval({ toolCallId, name, input, reasons }) {
+  const decision = interrupt({
+    type: "tool_approval",
+    toolCallId,
+    name,
+    input,
+    reasons,
+  });
+  return decision?.toolCallId === toolCallId && decision.approved === true;
+}
+
+/**
+ * The tool result of a denied call. Like toolErrorResult it is a ToolMessage
+ * when the call id is known, so the model sees which call was refused.
+ */
+export function deniedResult(config, { name }) {
+  const content = JSON.stringify({
+    denied: true,
+    message:
+      "The user denied this query. Do not run it again; answer without this data or ask the user how to narrow it.",
+  });
+  const toolCallId = config?.toolCall?.id;
+  if (!toolCallId) return content;
+  return new ToolMessage({ name, content, tool_call_id: toolCallId });
+}
+
+// Whether a tool result's content is deniedResult's
+export function isDeniedOutput(content) {
+  if (typeof content !== "string" || !content.includes('"denied"')) {
+    return false;
+  }
+  try {
+    return JSON.parse(content)?.denied === true;
+  } catch (_) {
+    return false;
+  }
+}
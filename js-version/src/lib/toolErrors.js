@@ -0,0 +1,138 @@
+// src/lib/toolErrors.js
+
+import { ToolMessage } from "@langchain/core/messages";
+import { UpstreamError } from "./httpClient.js";
+
+/**
+ * Failure classes a tool result can carry:
+ *   validation         - the arguments were wrong (bad filter, period, param...)
+ *   unknown_endpoint   - the endpoint is not in the registry
+ *   forbidden          - the data is outside what the signed-in user may see
+ *   configuration      - the endpoint has no base URL configured
+ *   upstream_http      - the source answered with a non-2xx status
+ *   timeout            - the source did not answer in time
+ *   network            - the source could not be reached
+ *   source_unavailable - calls are suspended by the circuit breaker
+ *   internal           - a bug on our side
+ */
+export const TOOL_ERROR_CODES = [
+  "validation",
+  "unknown_endpoint",
+  "forbidden",
+  "configuration",
+  "upstream_http",
+  "timeout",
+  "network",
+  "source_unavailable",
+  "internal",
+];
+
+export class ToolError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const UPSTREAM_CODES = {
+  http: "upstream_http",
+  invalid_response: "upstream_http",
+  timeout: "timeout",
+  network: "network",
+  circuit_open: "source_unavailable",
+};
+
+/**
+ * Maps anything a tool threw to a ToolError. Plain Errors come from the
+ * argument checks in the filter, date and aggregation helpers, so they count
+ * as validation failures; TypeErrors and the like are our own bugs.
+ */
+export function classifyToolError(error) {
+  if (error instanceof ToolError) return error;
+  if (error instanceof UpstreamError) {
+    return new ToolError(
+      UPSTREAM_CODES[error.kind] ?? "network",
+      error.message,
+      {
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.attempts ? { attempts: error.attempts } : {}),
+        ...(error.retryAfterMs
+          ? { retry_after_seconds: Math.ceil(error.retryAfterMs / 1000) }
+          : {}),
+      }
+    );
+  }
+  if (error?.constructor === Error) {
+    return new ToolError("validation", error.message);
+  }
+  return new ToolError("internal", error?.message ?? String(error));
+}
+
+// What the model should do next, per failure class
+const HINTS = {
+  validation: "Fix the arguments and call the tool again.",
+  unknown_endpoint: "Use one of the endpoints listed in the tool description.",
+  forbidden:
+    "Tell the user this data is outside what they are allowed to see; do not try to get it another way.",
+  configuration:
+    "Tell the user this data source is not configured on the server.",
+  upstream_http:
+    "Tell the user the data source rejected the request; do not retry it unchanged.",
+  timeout:
+    "Tell the user the data source is not responding and to try again shortly; do not call it again in this turn.",
+  network:
+    "Tell the user the data source could not be reached and to try again shortly; do not call it again in this turn.",
+  source_unavailable:
+    "Tell the user the data source is temporarily unavailable and when to retry; do not call it again in this turn.",
+  internal: "Tell the user the query failed because of an internal error.",
+};
+
+/**
+ * The JSON body the model sees for a failed call: a readable `error`, its
+ * `code`, any details and a hint on how to proceed.
+ */
+export function toolErrorPayload(error, extra = {}) {
+  return {
+    error: error.message,
+    code: error.code,
+    ...extra,
+    ...error.details,
+    hint: HINTS[error.code],
+    data: [],
+  };
+}
+
+/**
+ * Wraps a failed call as a ToolMessage with status "error", so the failure is
+ * carried as a tool error (not a normal result) through the agent and the UI.
+ * Outside a model-issued tool call there is no message to build, so the JSON
+ * payload is returned as is.
+ */
+export function toolErrorResult(error, config, { name, ...extra } = {}) {
+  const content = JSON.stringify(toolErrorPayload(error, extra));
+  const toolCallId = config?.toolCall?.id;
+  if (!toolCallId) return content;
+  return new ToolMessage({
+    status: "error",
+    name,
+    content,
+    tool_call_id: toolCallId,
+  });
+}
+
+/**
+ * Readable message for a failed tool call's content: our JSON payload's
+ * `error`, or LangGraph's "Error: ... Please fix your mistakes." text.
+ */
+export function toolErrorText(content) {
+  try {
+    const parsed = JSON.parse(content);
+    if (typeof parsed?.error === "string") return parsed.error;
+  } catch (_) {}
+  return String(content ?? "")
+    .replace(/^Error:\s*/, "")
+    .replace(/\s*Please fix your mistakes\.\s*$/, "")
+    .trim();
+}
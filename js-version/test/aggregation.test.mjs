@@ -0,0 +1,216 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { performAggregation } from "../src/lib/aggregation.js";
+
+describe("performAggregation", () => {
+  it("computes min and max over groups too large to spread", () => {
+    const data = Array.from({ length: 300_000 }, (_, i) => ({
+      PLANT_ID: i % 2 ? "BALA" : "JAIP",
+      TOTAL_ORDER_VALUE: String(i - 1000),
+    }));
+    const { result } = performAggregation(data, {
+      metrics: [
+        { op: "min", field: "TOTAL_ORDER_VALUE", as: "low" },
+        { op: "max", field: "TOTAL_ORDER_VALUE", as: "high" },
+      ],
+    });
+    assert.deepEqual(result, [{ low: -1000, high: 298_999 }]);
+  });
+
+  it("skips non-numeric values and yields null without any", () => {
+    const data = [
+      { PLANT_ID: "BALA", VALUE: "n/a" },
+      { PLANT_ID: "JAIP", VALUE: 7 },
+      { PLANT_ID: "JAIP", VALUE: "-3.5" },
+    ];
+    const { result } = performAggregation(data, {
+      groupBy: "PLANT_ID",
+      metrics: [
+        { op: "min", field: "VALUE", as: "low" },
+        { op: "max", field: "VALUE", as: "high" },
+      ],
+      sort: { by: "PLANT_ID", order: "asc" },
+    });
+    assert.deepEqual(result, [
+      { PLANT_ID: "BALA", low: null, high: null },
+      { PLANT_ID: "JAIP", low: -3.5, high: 7 },
+    ]);
+  });
+
+  const orders = [
+    { PLANT_ID: "JAIP", STATUS: "Open", DIST_ID: "D1", VALUE: "100" },
+    { PLANT_ID: "JAIP", STATUS: "Open", DIST_ID: "D2", VALUE: 300 },
+    { PLANT_ID: "JAIP", STATUS: "Closed", DIST_ID: "D1", VALUE: 50 },
+    { PLANT_ID: "BALA", STATUS: "Open", DIST_ID: "D3", VALUE: 20 },
+    { PLANT_ID: "BALA", STATUS: "Open", DIST_ID: "D3", VALUE: 40 },
+    { PLANT_ID: "BALA", STATUS: "Open", DIST_ID: "D4", VALUE: 90 },
+    { PLANT_ID: "", STATUS: "Closed", DIST_ID: null, VALUE: 5 },
+  ];
+
+  it("groups by several keys and returns the envelope", () => {
+    const output = performAggregation(
+      orders,
+      {
+        groupBy: ["PLANT_ID", "STATUS"],
+        metrics: [{ op: "count" }, { op: "sum", field: "VALUE" }],
+        sort: { by: "sum_VALUE", order: "desc" },
+      },
+      { endpoint: "order_history", hasFilters: false }
+    );
+    assert.deepEqual(output, {
+      query_type: "group_aggregate",
+      data_source: "order_history",
+      total_records: 7,
+      had_filters: false,
+      grouped_by: ["PLANT_ID", "STATUS"],
+      metrics: ["count", "sum_VALUE"],
+      group_count: 4,
+      columns: ["PLANT_ID", "STATUS", "count", "sum_VALUE"],
+      result: [
+        { PLANT_ID: "JAIP", STATUS: "Open", count: 2, sum_VALUE: 400 },
+        { PLANT_ID: "BALA", STATUS: "Open", count: 3, sum_VALUE: 150 },
+        { PLANT_ID: "JAIP", STATUS: "Closed", count: 1, sum_VALUE: 50 },
+        { PLANT_ID: "unknown", STATUS: "Closed", count: 1, sum_VALUE: 5 },
+      ],
+    });
+  });
+
+  it("computes median and count_distinct per group", () => {
+    const { result } = performAggregation(orders, {
+      groupBy: "PLANT_ID",
+      metrics: [
+        { op: "median", field: "VALUE", as: "median" },
+        { op: "count_distinct", field: "DIST_ID", as: "distributors" },
+      ],
+      sort: { by: "PLANT_ID", order: "asc" },
+    });
+    assert.deepEqual(result, [
+      { PLANT_ID: "BALA", median: 40, distributors: 2 },
+      { PLANT_ID: "JAIP", median: 100, distributors: 2 },
+      { PLANT_ID: "unknown", median: 5, distributors: 0 },
+    ]);
+
+    // An even number of values takes the mean of the middle two
+    const [{ median }] = performAggregation(orders.slice(0, 4), {
+      metrics: [{ op: "median", field: "VALUE", as: "median" }],
+    }).result;
+    assert.equal(median, 75);
+  });
+
+  it("filters aggregated rows with having before sorting and limiting", () => {
+    const output = performAggregation(orders, {
+      groupBy: "DIST_ID",
+      metrics: [{ op: "count" }, { op: "avg", field: "VALUE", as: "avg" }],
+      having: { count: { $gte: 2 } },
+      sort: { by: "avg", order: "asc" },
+      limit: 1,
+    });
+    assert.equal(output.group_count, 2);
+    assert.deepEqual(output.result, [{ DIST_ID: "D3", count: 2, avg: 30 }]);
+  });
+
+  it("sorts by the first metric, descending, by default", () => {
+    const { result } = performAggregation(orders, {
+      groupBy: "PLANT_ID",
+      metrics: [{ op: "max", field: "VALUE", as: "top" }],
+      limit: 2,
+    });
+    assert.deepEqual(result, [
+      { PLANT_ID: "JAIP", top: 300 },
+      { PLANT_ID: "BALA", top: 90 },
+    ]);
+  });
+
+  it("still accepts the legacy {type, field, groupBy} shape", () => {
+    const count = performAggregation(orders, { type: "count" });
+    assert.deepEqual(count.columns, ["result"]);
+    assert.deepEqual(count.result, [{ result: 7 }]);
+
+    const sum = performAggregation(orders, { type: "sum", field: "VALUE" });
+    assert.deepEqual(sum.result, [{ result: 605 }]);
+
+    const group = performAggregation(orders, {
+      type: "group",
+      field: "VALUE",
+      groupBy: "STATUS",
+    });
+    assert.deepEqual(group.columns, ["STATUS", "total", "count", "average"]);
+    assert.deepEqual(group.result, [
+      { STATUS: "Open", total: 550, count: 5, average: 110 },
+      { STATUS: "Closed", total: 55, count: 2, average: 27.5 },
+    ]);
+
+    assert.throws(
+      () => performAggregation(orders, { type: "sum" }),
+      /requires a field/
+    );
+  });
+
+  it("rejects unknown metrics", () => {
+    assert.throws(
+      () =>
+        performAggregation(orders, {
+          metrics: [{ op: "mode", field: "VALUE" }],
+        }),
+      /Unknown aggregation metric "mode"/
+    );
+  });
+
+  it("buckets date keys by interval, in time order", () => {
+    const sales = [
+      { ORDER_DATE: "2024-03-05T10:00:00", VALUE: 10 },
+      { ORDER_DATE: "2024-01-31T23:00:00", VALUE: 5 },
+      { ORDER_DATE: "2024-01-02T09:00:00", VALUE: 1 },
+      { ORDER_DATE: "2024-03-06", VALUE: 20 },
+      { ORDER_DATE: "not a date", VALUE: 2 },
+    ];
+    const fieldTypes = { ORDER_DATE: { type: "date" } };
+    const month = performAggregation(
+      sales,
+      {
+        groupBy: "ORDER_DATE",
+        interval: "month",
+        metrics: [{ op: "sum", field: "VALUE", as: "total" }],
+      },
+      { fieldTypes }
+    );
+    assert.equal(month.interval, "month");
+    assert.deepEqual(month.result, [
+      { ORDER_DATE: "2024-01", total: 6 },
+      { ORDER_DATE: "2024-03", total: 30 },
+      { ORDER_DATE: "unknown", total: 2 },
+    ]);
+
+    // Weeks start on Monday; 2024-03-05 and 2024-03-06 share one
+    const week = performAggregation(
+      sales.slice(0, 4),
+      {
+        groupBy: ["ORDER_DATE"],
+        interval: "week",
+        metrics: [{ op: "count" }],
+      },
+      { fieldTypes }
+    );
+    assert.deepEqual(week.result, [
+      { ORDER_DATE: "2024-01-01", count: 1 },
+      { ORDER_DATE: "2024-01-29", count: 1 },
+      { ORDER_DATE: "2024-03-04", count: 2 },
+    ]);
+  });
+
+  it("buckets only date-typed keys when grouping by several", () => {
+    const { result } = performAggregation(
+      [
+        { ORDER_DATE: "2024-01-02", PLANT_ID: "JAIP" },
+        { ORDER_DATE: "2024-01-20", PLANT_ID: "JAIP" },
+        { ORDER_DATE: "2024-02-02", PLANT_ID: "BALA" },
+      ],
+      { groupBy: ["PLANT_ID", "ORDER_DATE"], interval: "month" },
+      { fieldTypes: { ORDER_DATE: { type: "date" } } }
+    );
+    assert.deepEqual(result, [
+      { PLANT_ID: "JAIP", ORDER_DATE: "2024-01", count: 2 },
+      { PLANT_ID: "BALA", ORDER_DATE: "2024-02", count: 1 },
+    ]);
+  });
+});
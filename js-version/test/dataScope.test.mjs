@@ -0,0 +1,183 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.EMPLOYEE_DATA_API = "https://example.test/employees";
+const { resolveUserScope, enforceScope, scopeRows } = await import(
+  "../src/lib/dataScope.js"
+);
+
+const directory = [
+  {
+    EMP_ID: "1",
+    EMP_CODE: "c1",
+    REPORTING_MANAGER_ID: null,
+    PLANT_ID: "JAIP",
+    REGION_ID: "N",
+    REGION_DESC: "North",
+  },
+  {
+    EMP_ID: "2",
+    EMP_CODE: "C2",
+    REPORTING_MANAGER_ID: "1",
+    PLANT_ID: "JAIP",
+    REGION_ID: "N",
+  },
+  {
+    EMP_ID: "3",
+    EMP_CODE: "C3",
+    REPORTING_MANAGER_ID: "2",
+    PLANT_ID: "BALA",
+    REGION_ID: "N",
+  },
+  {
+    EMP_ID: "4",
+    EMP_CODE: "C4",
+    REPORTING_MANAGER_ID: " 3 ",
+    PLANT_ID: "BALA",
+    REGION_ID: "S",
+  },
+  // A reporting cycle in the data must not loop forever
+  {
+    EMP_ID: "5",
+    EMP_CODE: "C5",
+    REPORTING_MANAGER_ID: "6",
+    PLANT_ID: "PUNE",
+    REGION_ID: "S",
+  },
+  {
+    EMP_ID: "6",
+    EMP_CODE: "C6",
+    REPORTING_MANAGER_ID: "5",
+    PLANT_ID: "PUNE",
+    REGION_ID: "S",
+  },
+];
+const loadDirectory = async () => directory;
+const scopeOf = (empId, scope) =>
+  resolveUserScope({ empId, scope }, loadDirectory);
+const ids = (scope) => [...scope.keys.EMP_ID].sort();
+
+describe("resolveUserScope", () => {
+  it("gives unrestricted access without loading the directory", async () => {
+    const scope = await resolveUserScope({ empId: "1", scope: "all" }, () => {
+      throw new Error("directory loaded");
+    });
+    assert.equal(scope, null);
+  });
+
+  it("limits the self scope to the user's own records", async () => {
+    const scope = await scopeOf("2", "self");
+    assert.deepEqual(ids(scope), ["2"]);
+    assert.deepEqual([...scope.keys.EMP_CODE], ["C2"]);
+    assert.equal(scope.label, "your own records");
+  });
+
+  it("includes everyone reporting to the user, however indirectly", async () => {
+    assert.deepEqual(ids(await scopeOf("1", "team")), ["1", "2", "3", "4"]);
+    assert.deepEqual(ids(await scopeOf("3", "team")), ["3", "4"]);
+    assert.deepEqual(ids(await scopeOf("5", "team")), ["5", "6"]);
+  });
+
+  it("covers the user's plant or region", async () => {
+    const plant = await scopeOf("3", "plant");
+    assert.deepEqual(ids(plant), ["3", "4"]);
+    assert.equal(plant.label, "employees of plant BALA");
+
+    const region = await scopeOf("1", "region");
+    assert.deepEqual(ids(region), ["1", "2", "3"]);
+    assert.equal(region.label, "employees of region North");
+    // Normalized, so lowercase codes in the data still match
+    assert.ok(region.keys.EMP_CODE.has("C1"));
+  });
+
+  it("refuses users it cannot place", async () => {
+    await assert.rejects(resolveUserScope(null, loadDirectory), {
+      code: "forbidden",
+    });
+    await assert.rejects(scopeOf("99", "team"), {
+      code: "forbidden",
+      message: /not in the employee directory/,
+    });
+    await assert.rejects(scopeOf("1", "company"), {
+      code: "forbidden",
+      message: /Unknown data access scope/,
+    });
+  });
+});
+
+describe("enforceScope", () => {
+  it("checks the param of a param-scoped endpoint", async () => {
+    const scope = await scopeOf("2", "team");
+    enforceScope("monthly_sales", { params: { empId: 3 } }, scope);
+    assert.throws(
+      () => enforceScope("monthly_sales", { params: { empId: 1 } }, scope),
+      {
+        code: "forbidden",
+        message: /empId 1 is outside that/,
+        details: { allowed_scope: scope.label },
+      }
+    );
+  });
+
+  it("checks the values a filter pins the scoped field to", async () => {
+    const scope = await scopeOf("2", "team");
+    enforceScope("order_history", { filters: { CREATED_BY: "c3" } }, scope);
+    enforceScope(
+      "order_history",
+      { filters: { CREATED_BY: { $in: ["C2", "C4"] } } },
+      scope
+    );
+    // Open-ended conditions are narrowed by scopeRows instead
+    enforceScope(
+      "order_history",
+      { filters: { CREATED_BY: { $contains: "C" } } },
+      scope
+    );
+    assert.throws(
+      () =>
+        enforceScope(
+          "order_history",
+          { filters: { CREATED_BY: { $in: ["C3", "C1", "C5"] } } },
+          scope
+        ),
+      { code: "forbidden", message: /CREATED_BY C1, C5 is outside that/ }
+    );
+    assert.throws(
+      () =>
+        enforceScope(
+          "order_history",
+          { filters: { CREATED_BY: { $eq: "C6" } } },
+          scope
+        ),
+      { code: "forbidden" }
+    );
+  });
+
+  it("lets anything through for unrestricted users", () => {
+    enforceScope("monthly_sales", { params: { empId: 1 } }, null);
+  });
+});
+
+describe("scopeRows", () => {
+  const orders = [
+    { ORDER_ID: 1, CREATED_BY: "C2" },
+    { ORDER_ID: 2, CREATED_BY: "c1" },
+    { ORDER_ID: 3, CREATED_BY: "C4" },
+    { ORDER_ID: 4, CREATED_BY: null },
+  ];
+
+  it("keeps only the rows of employees in scope", async () => {
+    const scope = await scopeOf("2", "team");
+    assert.deepEqual(
+      scopeRows("order_history", orders, scope).map((row) => row.ORDER_ID),
+      [1, 3]
+    );
+  });
+
+  it("leaves param-scoped endpoints and unrestricted users alone", async () => {
+    const scope = await scopeOf("2", "self");
+    const sales = [{ MONTH_YEAR: "April 2025", TOTAL_SALES: 10 }];
+    assert.equal(scopeRows("monthly_sales", sales, scope), sales);
+    assert.equal(scopeRows("order_history", orders, null), orders);
+  });
+});
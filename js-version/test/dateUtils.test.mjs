@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Periods must not depend on where the server runs
+process.env.TZ = "America/Los_Angeles";
+const { bucketDate, financialYearStart, parseDate, resolvePeriod } =
+  await import("../src/lib/dateUtils.js");
+
+const iso = (date) => date.toISOString();
+const range = ({ start, end }) => [iso(start), iso(end)];
+
+// 2025-05-16 01:30 in India, still May 15 in UTC and in Los Angeles
+const now = new Date("2025-05-15T20:00:00Z");
+
+describe("resolvePeriod", () => {
+  it("starts days at midnight India time", () => {
+    assert.deepEqual(range(resolvePeriod("today", now)), [
+      "2025-05-15T18:30:00.000Z",
+      "2025-05-16T18:30:00.000Z",
+    ]);
+    assert.deepEqual(range(resolvePeriod("last_7_days", now)), [
+      "2025-05-09T18:30:00.000Z",
+      "2025-05-16T18:30:00.000Z",
+    ]);
+  });
+
+  it("starts weeks on Monday and months on the 1st", () => {
+    // May 16, 2025 is a Friday
+    assert.deepEqual(range(resolvePeriod("this_week", now)), [
+      "2025-05-11T18:30:00.000Z",
+      "2025-05-18T18:30:00.000Z",
+    ]);
+    assert.deepEqual(range(resolvePeriod("last_month", now)), [
+      "2025-03-31T18:30:00.000Z",
+      "2025-04-30T18:30:00.000Z",
+    ]);
+  });
+
+  it("follows the April-March financial year", () => {
+    assert.deepEqual(range(resolvePeriod("this_fy", now)), [
+      "2025-03-31T18:30:00.000Z",
+      "2026-03-31T18:30:00.000Z",
+    ]);
+    assert.deepEqual(range(resolvePeriod("this_quarter", now)), [
+      "2025-03-31T18:30:00.000Z",
+      "2025-06-30T18:30:00.000Z",
+    ]);
+    assert.deepEqual(range(resolvePeriod("fy2024_q4")), [
+      "2024-12-31T18:30:00.000Z",
+      "2025-03-31T18:30:00.000Z",
+    ]);
+    // 11 pm on March 31 in Los Angeles is already April 1 in India
+    const lateMarch = new Date("2025-03-31T23:00:00-07:00");
+    assert.equal(
+      iso(financialYearStart(lateMarch)),
+      "2025-03-31T18:30:00.000Z"
+    );
+  });
+
+  it("includes the whole last day of an explicit range", () => {
+    assert.deepEqual(
+      range(resolvePeriod({ from: "01-05-2025", to: "2025-05-31" })),
+      ["2025-04-30T18:30:00.000Z", "2025-05-31T18:30:00.000Z"]
+    );
+  });
+});
+
+describe("parseDate", () => {
+  it("reads dates without an offset as India time", () => {
+    const midnight = Date.parse("2025-05-15T00:00:00+05:30");
+    assert.equal(parseDate("2025-05-15"), midnight);
+    assert.equal(parseDate("15-05-2025"), midnight);
+    assert.equal(parseDate("15/05/2025"), midnight);
+    assert.equal(parseDate("2025-05-15 10:30:00"), midnight + 10.5 * 3600e3);
+    assert.equal(
+      parseDate("May 2025"),
+      Date.parse("2025-05-01T00:00:00+05:30")
+    );
+    assert.equal(parseDate("31-02-2025"), null);
+  });
+
+  it("keeps explicit offsets", () => {
+    assert.equal(
+      parseDate("2025-05-15T10:30:00Z"),
+      Date.parse("2025-05-15T10:30:00Z")
+    );
+    assert.equal(
+      parseDate("2025-05-15T10:30:00+02:00"),
+      Date.parse("2025-05-15T08:30:00Z")
+    );
+  });
+});
+
+describe("bucketDate", () => {
+  it("labels buckets by India calendar days", () => {
+    const lateEvening = "2025-05-18T20:00:00Z"; // Monday 01:30 in India
+    assert.equal(bucketDate(lateEvening, "day"), "2025-05-19");
+    assert.equal(bucketDate(lateEvening, "week"), "2025-05-19");
+    assert.equal(bucketDate("2025-05-31T19:00:00Z", "month"), "2025-06");
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+Object.assign(process.env, {
+  MONTHLY_SALES_API: "https://example.test/sales/",
+  EMPLOYEE_DATA_API: "https://example.test/employees",
+});
+const { buildEndpointUrl } = await import("../src/lib/endpointRegistry.js");
+const { ToolError } = await import("../src/lib/toolErrors.js");
+
+describe("buildEndpointUrl", () => {
+  it("fills the URL template from params", () => {
+    assert.equal(
+      buildEndpointUrl("monthly_sales", { empId: "12 34" }),
+      "https://example.test/sales/12%2034"
+    );
+  });
+
+  it("reports a missing required param as a validation error", () => {
+    for (const params of [{}, { empId: "" }, undefined]) {
+      assert.throws(
+        () => buildEndpointUrl("monthly_sales", params),
+        (error) =>
+          error instanceof ToolError &&
+          error.code === "validation" &&
+          /requires params\.empId/.test(error.message)
+      );
+    }
+  });
+
+  it("rejects unknown endpoints", () => {
+    assert.throws(() => buildEndpointUrl("payroll"), {
+      code: "unknown_endpoint",
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "exports-test-"));
+Object.assign(process.env, {
+  CHAT_DATA_DIR: dataDir,
+  EMPLOYEE_DATA_API: "https://example.test/employees",
+  TOOL_APPROVAL: "off",
+});
+
+const user = { empId: "E1", scope: "all" };
+const rows = Array.from({ length: 400 }, (_, i) => ({
+  EMP_ID: `E${i + 1}`,
+  EMP_NAME: `Employee ${i + 1}`,
+  PASSWORD: "hunter2",
+}));
+const realFetch = globalThis.fetch;
+let exports;
+let tools;
+let resultSnapshots;
+
+before(async () => {
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify(rows), {
+      headers: { "Content-Type": "application/json" },
+    });
+  exports = await import("../src/lib/exports.js");
+  tools = await import("../src/lib/agentTools.js");
+  ({ resultSnapshots } = await import("../src/lib/resultSnapshots.js"));
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("toCsv", () => {
+  it("quotes formula triggers but not signed numbers", () => {
+    const csv = exports.toCsv(
+      [
+        { a: "-5", b: "+91", c: "-1.5e3", d: -5 },
+        { a: "=SUM(A1)", b: "+cmd", c: "-", d: "@x" },
+      ],
+      ["a", "b", "c", "d"]
+    );
+    assert.equal(
+      csv,
+      "\uFEFFa,b,c,d\r\n-5,+91,-1.5e3,-5\r\n'=SUM(A1),'+cmd,'-,'@x\r\n"
+    );
+  });
+});
+
+describe("resultTable", () => {
+  async function pagedCall() {
+    const output = await tools.queryApiDataTool.invoke(
+      { endpoint: "employee_data" },
+      { configurable: { user } }
+    );
+    const first = {
+      toolCallId: "call_1",
+      name: "queryApiData",
+      input: { endpoint: "employee_data" },
+      output,
+    };
+    const cursor = JSON.parse(output).next_cursor;
+    assert.ok(cursor, "expected a paged result");
+    const next = {
+      toolCallId: "call_2",
+      name: "fetchNextPage",
+      input: { cursor },
+      output: await tools.fetchNextPageTool.invoke(
+        { cursor },
+        { configurable: { user } }
+      ),
+    };
+    return [first, next];
+  }
+
+  it("reads every row of a paged result from its snapshot", async () => {
+    const [first] = await pagedCall();
+    const table = await exports.resultTable(first, { user });
+    assert.equal(table.rows.length, 400);
+    assert.ok(!table.columns.includes("PASSWORD"));
+  });
+
+  it("runs the query again once the snapshot has expired", async () => {
+    const toolCalls = await pagedCall();
+    resultSnapshots.entries.clear();
+    resultSnapshots.totalRows = 0;
+
+    for (const toolCall of toolCalls) {
+      const table = await exports.resultTable(toolCall, { user, toolCalls });
+      assert.equal(table.rows.length, 400, toolCall.name);
+      assert.ok(!table.columns.includes("PASSWORD"));
+    }
+  });
+
+  it("fails when the query behind an expired page is unknown", async () => {
+    const [, next] = await pagedCall();
+    resultSnapshots.entries.clear();
+    resultSnapshots.totalRows = 0;
+    await assert.rejects(exports.resultTable(next, { user }), /expired/);
+  });
+});
+
+describe("pdfCanShow", () => {
+  it("accepts Latin-1 and the replaced punctuation only", async () => {
+    const { pdfCanShow } = await import("../src/lib/pdfWriter.js");
+    assert.ok(pdfCanShow("Café – ₹1,200…\nnext line"));
+    assert.ok(!pdfCanShow("बिक्री"));
+  });
+});
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { FileSaver } from "../src/lib/fileCheckpointer.js";
+
+let dataDir;
+let dirPath;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpointer-test-"));
+  dirPath = path.join(dataDir, "checkpoints");
+});
+
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function checkpoint(id, messages) {
+  return {
+    v: 4,
+    id,
+    ts: new Date().toISOString(),
+    channel_values: { messages },
+    channel_versions: {},
+    versions_seen: {},
+  };
+}
+
+const config = (threadId) => ({
+  configurable: { thread_id: threadId, checkpoint_ns: "" },
+});
+
+async function save(saver, threadId, id, messages) {
+  const saved = await saver.put(config(threadId), checkpoint(id, messages), {
+    source: "loop",
+    step: 0,
+  });
+  await saver.putWrites(saved, [["messages", messages.at(-1)]], "task-1");
+}
+
+describe("FileSaver", () => {
+  it("keeps each thread in its own file and restores it", async () => {
+    const saver = new FileSaver(dirPath);
+    await save(saver, "t1", "1", ["hello"]);
+    await save(saver, "t/2", "1", ["bonjour"]);
+    assert.deepEqual(fs.readdirSync(dirPath).sort(), ["t%2F2.json", "t1.json"]);
+
+    const reloaded = new FileSaver(dirPath);
+    const tuple = await reloaded.getTuple(config("t1"));
+    assert.deepEqual(tuple.checkpoint.channel_values.messages, ["hello"]);
+    assert.equal(tuple.pendingWrites.length, 1);
+    const other = await reloaded.getTuple(config("t/2"));
+    assert.deepEqual(other.checkpoint.channel_values.messages, ["bonjour"]);
+  });
+
+  it("rewrites only the thread that changed", async () => {
+    const saver = new FileSaver(dirPath);
+    await save(saver, "t1", "1", ["hello"]);
+    await save(saver, "t2", "1", ["bonjour"]);
+    const otherFile = path.join(dirPath, "t2.json");
+    fs.utimesSync(otherFile, 0, 0);
+
+    await save(saver, "t1", "2", ["hello", "again"]);
+    assert.equal(fs.statSync(otherFile).mtimeMs, 0);
+    const own = JSON.parse(fs.readFileSync(path.join(dirPath, "t1.json")));
+    assert.deepEqual(Object.keys(own.storage[""]).sort(), ["1", "2"]);
+    assert.ok(Object.keys(own.writes).every((key) => key.startsWith('["t1",')));
+  });
+
+  it("deletes a thread's file with the thread", async () => {
+    const saver = new FileSaver(dirPath);
+    await save(saver, "t1", "1", ["hello"]);
+    await saver.deleteThread("t1");
+    assert.deepEqual(fs.readdirSync(dirPath), []);
+    assert.equal(
+      await new FileSaver(dirPath).getTuple(config("t1")),
+      undefined
+    );
+  });
+
+  it("splits the legacy single file into per-thread files", async () => {
+    const legacyFile = path.join(dataDir, "checkpoints.json");
+    const legacy = new FileSaver(path.join(dataDir, "scratch"));
+    await save(legacy, "t1", "1", ["hello"]);
+    await save(legacy, "t2", "1", ["bonjour"]);
+    const encodeBytes = (_key, value) =>
+      value instanceof Uint8Array
+        ? { __bytes: Buffer.from(value).toString("base64") }
+        : value;
+    fs.writeFileSync(
+      legacyFile,
+      JSON.stringify(
+        { storage: legacy.storage, writes: legacy.writes },
+        encodeBytes
+      )
+    );
+
+    const saver = new FileSaver(dirPath, { legacyFile });
+    assert.deepEqual(fs.readdirSync(dirPath).sort(), ["t1.json", "t2.json"]);
+    assert.ok(!fs.existsSync(legacyFile));
+    assert.ok(fs.existsSync(`${legacyFile}.migrated`));
+    const tuple = await new FileSaver(dirPath).getTuple(config("t2"));
+    assert.deepEqual(tuple.checkpoint.channel_values.messages, ["bonjour"]);
+    assert.equal((await saver.getTuple(config("t1"))).pendingWrites.length, 1);
+  });
+});
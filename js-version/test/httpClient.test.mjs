@@ -0,0 +1,178 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { getEventListeners } from "node:events";
+
+Object.assign(process.env, {
+  API_BREAKER_THRESHOLD: "2",
+  API_BREAKER_COOLDOWN_MS: "50",
+});
+const { fetchJson, breakerStates } = await import("../src/lib/httpClient.js");
+const { classifyToolError } = await import("../src/lib/toolErrors.js");
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+// A response whose body never arrives, until the request is aborted. The
+// timer only keeps the event loop alive, as AbortSignal.timeout does not.
+function stalledBody(signal) {
+  return {
+    ok: true,
+    status: 200,
+    text: () =>
+      new Promise((_, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const keepAlive = setTimeout(() => {}, 5000);
+        signal.addEventListener("abort", () => {
+          clearTimeout(keepAlive);
+          reject(signal.reason);
+        });
+      }),
+  };
+}
+
+// Serves the queued responses (or throws queued errors), one per call
+function stubFetch(...replies) {
+  const calls = [];
+  mock.method(globalThis, "fetch", async (url, init) => {
+    calls.push(url);
+    const reply = replies.shift();
+    if (typeof reply === "function") return reply(init.signal);
+    if (reply instanceof Error) throw reply;
+    return reply;
+  });
+  return calls;
+}
+
+let key = 0;
+const options = (extra = {}) => ({
+  breakerKey: `source-${++key}`,
+  retries: 2,
+  retryBaseMs: 1,
+  timeoutMs: 200,
+  ...extra,
+});
+const URL = "https://example.test/data";
+
+beforeEach(() => mock.method(console, "warn", () => {}));
+afterEach(() => mock.restoreAll());
+
+describe("fetchJson", () => {
+  it("retries server errors and network failures with backoff", async () => {
+    const calls = stubFetch(
+      json({}, 503),
+      new TypeError("fetch failed"),
+      json([{ id: 1 }])
+    );
+    assert.deepEqual(await fetchJson(URL, options()), [{ id: 1 }]);
+    assert.equal(calls.length, 3);
+    assert.equal(console.warn.mock.callCount(), 2);
+  });
+
+  it("gives up after the configured retries", async () => {
+    const calls = stubFetch(json({}, 500), json({}, 500), json({}, 500));
+    await assert.rejects(fetchJson(URL, options()), {
+      name: "UpstreamError",
+      kind: "http",
+      status: 500,
+      attempts: 3,
+    });
+    assert.equal(calls.length, 3);
+  });
+
+  it("does not retry client errors", async () => {
+    const calls = stubFetch(json({}, 404));
+    await assert.rejects(fetchJson(URL, options()), { kind: "http" });
+    assert.equal(calls.length, 1);
+  });
+
+  it("retries a body that times out while it is read", async () => {
+    const calls = stubFetch(stalledBody, json([{ id: 2 }]));
+    assert.deepEqual(await fetchJson(URL, options({ timeoutMs: 20 })), [
+      { id: 2 },
+    ]);
+    assert.equal(calls.length, 2);
+  });
+
+  it("reports a slow body as a timeout once retries run out", async () => {
+    stubFetch(stalledBody);
+    const error = await fetchJson(URL, options({ timeoutMs: 20, retries: 0 }))
+      .then(() => null)
+      .catch((e) => e);
+    assert.equal(error.kind, "timeout");
+    assert.equal(classifyToolError(error).code, "timeout");
+  });
+
+  it("reports an invalid JSON body as an upstream error without retrying", async () => {
+    const calls = stubFetch(new Response("<html>Bad gateway</html>"));
+    const error = await fetchJson(URL, options())
+      .then(() => null)
+      .catch((e) => e);
+    assert.equal(error.kind, "invalid_response");
+    assert.equal(classifyToolError(error).code, "upstream_http");
+    assert.equal(calls.length, 1);
+  });
+
+  it("stops at once when the caller aborts", async () => {
+    const controller = new AbortController();
+    stubFetch((signal) => stalledBody(signal));
+    const pending = fetchJson(URL, { ...options(), signal: controller.signal });
+    controller.abort(new Error("user left"));
+    await assert.rejects(pending, /user left/);
+  });
+
+  it("leaves no abort listeners behind after backing off", async () => {
+    const controller = new AbortController();
+    stubFetch(json({}, 502), json({}, 502), json([]));
+    await fetchJson(URL, { ...options(), signal: controller.signal });
+    assert.equal(getEventListeners(controller.signal, "abort").length, 0);
+  });
+
+  describe("circuit breaker", () => {
+    it("opens after repeated failures and fails fast", async () => {
+      const opts = options({ retries: 0 });
+      const calls = stubFetch(json({}, 500), json({}, 500));
+      await assert.rejects(fetchJson(URL, opts), { kind: "http" });
+      await assert.rejects(fetchJson(URL, opts), { kind: "http" });
+      assert.equal(breakerStates()[opts.breakerKey].state, "open");
+
+      await assert.rejects(fetchJson(URL, opts), {
+        kind: "circuit_open",
+        attempts: 0,
+      });
+      assert.equal(calls.length, 2);
+    });
+
+    it("lets one trial call through after the cooldown and closes on success", async () => {
+      const opts = options({ retries: 0 });
+      stubFetch(json({}, 500), json({}, 500), json([{ id: 3 }]));
+      await assert.rejects(fetchJson(URL, opts));
+      await assert.rejects(fetchJson(URL, opts));
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      assert.equal(breakerStates()[opts.breakerKey].state, "half_open");
+
+      assert.deepEqual(await fetchJson(URL, opts), [{ id: 3 }]);
+      assert.equal(breakerStates()[opts.breakerKey].state, "closed");
+    });
+
+    it("re-opens when the trial call fails", async () => {
+      const opts = options({ retries: 0 });
+      stubFetch(json({}, 500), json({}, 500), json({}, 503));
+      await assert.rejects(fetchJson(URL, opts));
+      await assert.rejects(fetchJson(URL, opts));
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      await assert.rejects(fetchJson(URL, opts), { kind: "http" });
+      assert.equal(breakerStates()[opts.breakerKey].state, "open");
+    });
+
+    it("does not count client errors against the source", async () => {
+      const opts = options({ retries: 0 });
+      stubFetch(json({}, 400), json({}, 400), json([]));
+      await assert.rejects(fetchJson(URL, opts));
+      await assert.rejects(fetchJson(URL, opts));
+      assert.deepEqual(await fetchJson(URL, opts), []);
+    });
+  });
+});
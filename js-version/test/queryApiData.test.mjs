@@ -0,0 +1,103 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "query-api-data-test-"));
+Object.assign(process.env, {
+  CHAT_DATA_DIR: dataDir,
+  EMPLOYEE_DATA_API: "https://example.test/employees",
+  TOOL_APPROVAL: "off",
+});
+const { queryApiDataTool } = await import("../src/lib/agentTools.js");
+const { apiCache } = await import("../src/lib/responseCache.js");
+
+const user = { empId: "E1", scope: "all" };
+const orders = [
+  { ORDER_ID: 1, CREATED_BY: "C1", TOTAL_ORDER_VALUE: 100 },
+  { ORDER_ID: 2, CREATED_BY: " c2 ", TOTAL_ORDER_VALUE: 200 },
+  { ORDER_ID: 3, CREATED_BY: "C9", TOTAL_ORDER_VALUE: 300 },
+  { ORDER_ID: 4, CREATED_BY: null, TOTAL_ORDER_VALUE: 400 },
+];
+const employees = [
+  { EMP_ID: "E1", EMP_CODE: "C1", EMP_NAME: "Asha", REGION_DESC: "North" },
+  { EMP_ID: "E2", EMP_CODE: "C2", EMP_NAME: "Ravi", REGION_DESC: "South" },
+];
+
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = async (url) =>
+    new Response(
+      JSON.stringify(
+        String(url).startsWith("https://example.test/employees")
+          ? employees
+          : orders
+      ),
+      { headers: { "Content-Type": "application/json" } }
+    );
+});
+beforeEach(() => apiCache.clear());
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const query = async (args) =>
+  JSON.parse(await queryApiDataTool.invoke(args, { configurable: { user } }));
+const orderJoin = (join) =>
+  query({
+    endpoint: "order_history",
+    join: [{ endpoint: "employee_data", fields: ["EMP_NAME"], ...join }],
+  });
+
+describe("queryApiData joins", () => {
+  it("attaches the related fields of matching rows", async () => {
+    const rows = await orderJoin();
+    assert.deepEqual(
+      rows.map((row) => [row.ORDER_ID, row["employee_data.EMP_NAME"]]),
+      [
+        [1, "Asha"],
+        [2, "Ravi"],
+        [3, null],
+        [4, null],
+      ]
+    );
+    // Only the requested related fields are copied
+    assert.equal(rows[0]["employee_data.REGION_DESC"], undefined);
+  });
+
+  it("drops rows without a match for an inner join", async () => {
+    const rows = await orderJoin({ inner: true });
+    assert.deepEqual(
+      rows.map((row) => row.ORDER_ID),
+      [1, 2]
+    );
+  });
+
+  it("filters and groups on joined fields", async () => {
+    const output = await query({
+      endpoint: "order_history",
+      join: [{ endpoint: "employee_data", fields: ["REGION_DESC"] }],
+      filters: { "employee_data.REGION_DESC": { $ne: "South" } },
+      aggregation: {
+        groupBy: "employee_data.REGION_DESC",
+        metrics: [{ op: "sum", field: "TOTAL_ORDER_VALUE", as: "value" }],
+      },
+    });
+    assert.deepEqual(output.result, [
+      { "employee_data.REGION_DESC": "unknown", value: 700 },
+      { "employee_data.REGION_DESC": "North", value: 100 },
+    ]);
+  });
+
+  it("rejects an undeclared join as a validation error", async () => {
+    const output = await query({
+      endpoint: "employee_data",
+      join: [{ endpoint: "order_history" }],
+    });
+    assert.equal(output.code, "validation");
+    assert.match(output.error, /cannot be joined with order_history/);
+    assert.deepEqual(output.declared_joins, []);
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  dateRangeFilter,
+  filterFields,
+  matchesFilters,
+} from "../src/lib/queryFilters.js";
+
+const FIELDS = {
+  STATUS: { type: "number" },
+  TOTAL_ORDER_VALUE: { type: "number" },
+  CUSTOMER_ID: { type: "string" },
+  CUSTOMER_NAME: { type: "string" },
+  PLANT_ID: { type: "string" },
+  ORDER_DATE: { type: "date" },
+};
+
+const order = {
+  STATUS: 11,
+  TOTAL_ORDER_VALUE: "12500.50",
+  CUSTOMER_ID: "0042",
+  CUSTOMER_NAME: "Shree Jaipur Traders",
+  PLANT_ID: "BALA",
+  ORDER_DATE: "15-05-2025",
+};
+
+const matches = (filters, item = order) =>
+  matchesFilters(item, filters, FIELDS);
+
+describe("matchesFilters", () => {
+  describe("comparison operators", () => {
+    it("$eq, and a bare value, test equality", () => {
+      assert.ok(matches({ STATUS: 11 }));
+      assert.ok(matches({ STATUS: { $eq: 11 } }));
+      assert.ok(!matches({ STATUS: { $eq: 12 } }));
+      assert.ok(!matches({ MISSING: { $eq: 1 } }));
+    });
+
+    it("$ne", () => {
+      assert.ok(matches({ STATUS: { $ne: 12 } }));
+      assert.ok(!matches({ STATUS: { $ne: 11 } }));
+      assert.ok(matches({ MISSING: { $ne: 1 } }));
+    });
+
+    it("$gt, $gte, $lt and $lte", () => {
+      assert.ok(matches({ TOTAL_ORDER_VALUE: { $gt: 12000 } }));
+      assert.ok(!matches({ TOTAL_ORDER_VALUE: { $gt: 12500.5 } }));
+      assert.ok(matches({ TOTAL_ORDER_VALUE: { $gte: 12500.5 } }));
+      assert.ok(matches({ TOTAL_ORDER_VALUE: { $lt: 13000 } }));
+      assert.ok(!matches({ TOTAL_ORDER_VALUE: { $lt: 12500.5 } }));
+      assert.ok(matches({ TOTAL_ORDER_VALUE: { $lte: 12500.5 } }));
+      assert.ok(matches({ TOTAL_ORDER_VALUE: { $gte: 5000, $lt: 20000 } }));
+    });
+
+    it("never matches values that cannot be ordered", () => {
+      assert.ok(!matches({ CUSTOMER_NAME: { $gt: 5 } }));
+      assert.ok(!matches({ MISSING: { $lt: 5 } }));
+    });
+
+    it("$between is inclusive", () => {
+      assert.ok(matches({ STATUS: { $between: [11, 12] } }));
+      assert.ok(matches({ STATUS: { $between: [10, 11] } }));
+      assert.ok(!matches({ STATUS: { $between: [12, 20] } }));
+      assert.throws(() => matches({ STATUS: { $between: [1] } }), /array of 2/);
+    });
+  });
+
+  describe("set operators", () => {
+    it("$in, and a bare array", () => {
+      assert.ok(matches({ PLANT_ID: { $in: ["BALA", "JAIP"] } }));
+      assert.ok(matches({ PLANT_ID: ["JAIP", "BALA"] }));
+      assert.ok(!matches({ PLANT_ID: { $in: ["JAIP"] } }));
+      assert.throws(() => matches({ PLANT_ID: { $in: "BALA" } }), /array/);
+    });
+
+    it("$nin", () => {
+      assert.ok(matches({ STATUS: { $nin: [12, 13] } }));
+      assert.ok(!matches({ STATUS: { $nin: ["11", 13] } }));
+      assert.throws(() => matches({ STATUS: { $nin: 11 } }), /array/);
+    });
+  });
+
+  describe("text operators", () => {
+    it("$contains is a case-insensitive substring match", () => {
+      assert.ok(matches({ CUSTOMER_NAME: { $contains: "jaipur" } }));
+      assert.ok(!matches({ CUSTOMER_NAME: { $contains: "delhi" } }));
+      assert.ok(!matches({ MISSING: { $contains: "x" } }));
+    });
+
+    it("$regex is case-insensitive", () => {
+      assert.ok(matches({ CUSTOMER_NAME: { $regex: "^shree\\s+\\w+" } }));
+      assert.ok(!matches({ CUSTOMER_NAME: { $regex: "traders$x" } }));
+      assert.throws(
+        () => matches({ CUSTOMER_NAME: { $regex: "(" } }),
+        /Invalid \$regex/
+      );
+    });
+
+    it("$regex rejects long patterns and nested quantifiers", () => {
+      assert.throws(
+        () => matches({ CUSTOMER_NAME: { $regex: "a".repeat(101) } }),
+        /100 characters/
+      );
+      for (const pattern of ["(a+)+$", "(\\w*x)*", "((ab)+c){2,}", "(a|b+)*"]) {
+        assert.throws(
+          () => matches({ CUSTOMER_NAME: { $regex: pattern } }),
+          /repeated group/,
+          pattern
+        );
+      }
+      // Quantifiers inside character classes or escaped are fine
+      assert.ok(matches({ CUSTOMER_NAME: { $regex: "([a-z+]+) jaipur" } }));
+      assert.ok(!matches({ CUSTOMER_NAME: { $regex: "(\\+)+" } }));
+    });
+  });
+
+  describe("logical operators", () => {
+    it("$or and $and", () => {
+      assert.ok(matches({ $or: [{ STATUS: 12 }, { PLANT_ID: "BALA" }] }));
+      assert.ok(!matches({ $or: [{ STATUS: 12 }, { PLANT_ID: "JAIP" }] }));
+      assert.ok(matches({ $and: [{ STATUS: 11 }, { PLANT_ID: "BALA" }] }));
+      assert.ok(!matches({ $and: [{ STATUS: 11 }, { PLANT_ID: "JAIP" }] }));
+      assert.throws(() => matches({ $or: { STATUS: 11 } }), /array/);
+    });
+
+    it("nests $or inside $and and the other way round", () => {
+      assert.ok(
+        matches({
+          $and: [
+            { PLANT_ID: "BALA" },
+            { $or: [{ STATUS: 12 }, { TOTAL_ORDER_VALUE: { $gt: 10000 } }] },
+          ],
+        })
+      );
+      assert.ok(
+        !matches({
+          $or: [
+            { $and: [{ PLANT_ID: "BALA" }, { STATUS: 12 }] },
+            { $and: [{ PLANT_ID: "JAIP" }, { STATUS: 11 }] },
+          ],
+        })
+      );
+    });
+
+    it("ANDs sibling conditions", () => {
+      assert.ok(!matches({ STATUS: 11, PLANT_ID: "JAIP" }));
+    });
+  });
+
+  describe("coercion", () => {
+    it("compares numeric strings as numbers", () => {
+      assert.ok(matches({ TOTAL_ORDER_VALUE: 12500.5 }));
+      assert.ok(matches({ STATUS: "11" }));
+      assert.ok(matches({ TOTAL_ORDER_VALUE: { $gt: "9000" } }));
+      // "9000" < "12500.50" as text but not as numbers
+      assert.ok(!matches({ TOTAL_ORDER_VALUE: { $lt: "9000" } }));
+    });
+
+    it("keeps string-typed fields as text", () => {
+      assert.ok(!matches({ CUSTOMER_ID: 42 }));
+      assert.ok(matches({ CUSTOMER_ID: "0042" }));
+    });
+
+    it("compares dates chronologically across formats", () => {
+      assert.ok(matches({ ORDER_DATE: "2025-05-15" }));
+      assert.ok(matches({ ORDER_DATE: { $gte: "2025-05-01" } }));
+      assert.ok(matches({ ORDER_DATE: { $lt: "01/06/2025" } }));
+      assert.ok(
+        matches({ ORDER_DATE: { $between: ["2025-04-01", "2025-06-30"] } })
+      );
+      assert.ok(!matches({ ORDER_DATE: { $gt: "/Date(1767225600000)/" } }));
+    });
+
+    it("includes the whole day of a date-only $between upper bound", () => {
+      const at = (ORDER_DATE) => ({ ...order, ORDER_DATE });
+      const january = {
+        ORDER_DATE: { $between: ["2025-01-01", "2025-01-15"] },
+      };
+      assert.ok(matches(january, at("2025-01-15T10:00:00")));
+      assert.ok(matches(january, at("2025-01-15T23:59:59")));
+      assert.ok(matches(january, at("2025-01-01T00:00:00")));
+      assert.ok(!matches(january, at("2025-01-16T00:00:00")));
+      assert.ok(!matches(january, at("2024-12-31T23:59:59")));
+      assert.ok(
+        matches(
+          { ORDER_DATE: { $between: ["01-01-2025", "15-01-2025"] } },
+          at("2025-01-15T18:30:00")
+        )
+      );
+      // A bound with a time is exact
+      assert.ok(
+        !matches(
+          { ORDER_DATE: { $between: ["2025-01-01", "2025-01-15T09:00:00"] } },
+          at("2025-01-15T10:00:00")
+        )
+      );
+    });
+
+    it("infers dates from their shape on undeclared fields", () => {
+      const item = { CREATED_ON: "2025-05-15T10:30:00" };
+      assert.ok(matchesFilters(item, { CREATED_ON: { $gt: "14-05-2025" } }));
+    });
+
+    it("$period matches the half-open range of a period", () => {
+      assert.ok(
+        matches({
+          ORDER_DATE: { $period: { from: "2025-05-01", to: "2025-05-15" } },
+        })
+      );
+      assert.ok(!matches({ ORDER_DATE: { $period: { from: "2025-05-16" } } }));
+      assert.ok(matches({ ORDER_DATE: { $period: "fy2025" } }));
+      assert.ok(!matches({ ORDER_DATE: { $period: "fy2024_q1" } }));
+    });
+  });
+
+  it("rejects unknown operators", () => {
+    assert.throws(
+      () => matches({ STATUS: { $like: "1%" } }),
+      /Unsupported filter operator "\$like"/
+    );
+  });
+});
+
+describe("dateRangeFilter", () => {
+  it("defaults to the first date field", () => {
+    assert.deepEqual(dateRangeFilter({ period: "this_fy" }, FIELDS), {
+      ORDER_DATE: { $period: "this_fy" },
+    });
+    assert.deepEqual(
+      dateRangeFilter({ field: "X", from: "2025-04-01" }, FIELDS),
+      { X: { $period: { from: "2025-04-01", to: undefined } } }
+    );
+    assert.throws(() => dateRangeFilter({ period: "today" }, {}), /date field/);
+  });
+});
+
+describe("filterFields", () => {
+  it("lists fields, including inside $or/$and", () => {
+    assert.deepEqual(
+      filterFields({
+        STATUS: 11,
+        $or: [
+          { PLANT_ID: "BALA" },
+          { $and: [{ STATUS: 1 }, { CUSTOMER_ID: "1" }] },
+        ],
+      }),
+      ["STATUS", "PLANT_ID", "CUSTOMER_ID"]
+    );
+  });
+});
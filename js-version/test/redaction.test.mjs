@@ -0,0 +1,167 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ToolMessage } from "@langchain/core/messages";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "redaction-test-"));
+const scriptFile = path.join(dataDir, "script.json");
+fs.writeFileSync(
+  scriptFile,
+  JSON.stringify([
+    {
+      match: "employees",
+      steps: [
+        {
+          tool_calls: [
+            { name: "queryApiData", args: { endpoint: "employee_data" } },
+          ],
+        },
+        "Here are the employees.",
+      ],
+    },
+    { steps: ["Anything else?"] },
+  ])
+);
+Object.assign(process.env, {
+  CHAT_DATA_DIR: dataDir,
+  LLM_PROVIDER: "scripted",
+  LLM_SCRIPT_FILE: scriptFile,
+  EMPLOYEE_DATA_API: "https://example.test/employees",
+  TOOL_APPROVAL: "off",
+});
+
+const SECRETS = ["hunter2", "9876543210", "98765 43210", "priya.k@example.com"];
+const user = { empId: "E1", scope: "all" };
+
+function employee(i) {
+  return {
+    EMP_ID: `E${i}`,
+    EMP_CODE: `MKTG${String(i).padStart(4, "0")}`,
+    EMP_NAME: `Employee ${i}`,
+    REGION_DESC: "Call 98765 43210 or write to priya.k@example.com",
+    PASSWORD: "hunter2",
+    EMP_MOBILE_NO: "9876543210",
+    EMP_EMAIL: "priya.k@example.com",
+  };
+}
+
+function assertNoSecrets(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  for (const secret of SECRETS) {
+    assert.ok(!text.includes(secret), `leaked "${secret}" in ${text}`);
+  }
+}
+
+let rows = [];
+const realFetch = globalThis.fetch;
+let tools;
+let redaction;
+let agent;
+let apiCache;
+
+before(async () => {
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify(rows), {
+      headers: { "Content-Type": "application/json" },
+    });
+  tools = await import("../src/lib/agentTools.js");
+  redaction = await import("../src/lib/redaction.js");
+  agent = await import("../src/lib/langgraphAgent.js");
+  ({ apiCache } = await import("../src/lib/responseCache.js"));
+});
+
+// Every test serves its own upstream rows
+beforeEach(() => apiCache.clear());
+
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("redaction", () => {
+  it("drops secrets and masks contacts in direct tool output", async () => {
+    rows = [employee(1), employee(2)];
+    const output = await tools.queryApiDataTool.invoke(
+      { endpoint: "employee_data" },
+      { configurable: { user } }
+    );
+    assertNoSecrets(output);
+    const [first] = JSON.parse(output);
+    assert.equal(first.PASSWORD, undefined);
+    assert.equal(first.EMP_MOBILE_NO, undefined);
+    assert.equal(first.EMP_EMAIL, undefined);
+    // Identifiers stay readable, free text keeps a hint of the contact
+    assert.equal(first.EMP_CODE, "MKTG0001");
+    assert.match(first.REGION_DESC, /\*{6}3210/);
+    assert.match(first.REGION_DESC, /p\*\*\*@example\.com/);
+  });
+
+  it("redacts every page and the snapshot of a paged result", async () => {
+    rows = Array.from({ length: 400 }, (_, i) => employee(i + 1));
+    const first = JSON.parse(
+      await tools.queryApiDataTool.invoke(
+        { endpoint: "employee_data" },
+        { configurable: { user } }
+      )
+    );
+    assert.ok(first.next_cursor, "expected a paged result");
+    assertNoSecrets(first);
+
+    const next = await tools.fetchNextPageTool.invoke(
+      { cursor: first.next_cursor },
+      { configurable: { user } }
+    );
+    assertNoSecrets(next);
+    assert.ok(JSON.parse(next).rows.length > 0);
+
+    const all = tools.fetchAllRows(first.next_cursor, { user });
+    assert.equal(all.rows.length, 400);
+    assertNoSecrets(all.rows);
+  });
+
+  it("redacts legacy tool results replayed from history", () => {
+    const legacy = new ToolMessage({
+      tool_call_id: "call_1",
+      name: "queryApiData",
+      content: JSON.stringify([employee(1)]),
+    });
+    const replayed = redaction.redactHistoryMessage(legacy);
+    assertNoSecrets(replayed.content);
+    assert.equal(replayed.tool_call_id, "call_1");
+  });
+
+  it("keeps secrets out of the prompt and the thread's messages", async () => {
+    rows = [employee(1)];
+    const { ScriptedChatModel } = await import(
+      "../src/lib/scriptedChatModel.js"
+    );
+    const prompts = [];
+    const nextStep = ScriptedChatModel.prototype.nextStep;
+    ScriptedChatModel.prototype.nextStep = function (messages) {
+      prompts.push(messages.map((m) => m.content));
+      return nextStep.call(this, messages);
+    };
+    try {
+      await agent.runAgent({ role: "user", content: "list employees" }, "t1", {
+        user,
+      });
+      // The second turn replays the first one from the checkpoint
+      await agent.runAgent({ role: "user", content: "thanks" }, "t1", {
+        user,
+      });
+    } finally {
+      ScriptedChatModel.prototype.nextStep = nextStep;
+    }
+
+    assert.equal(prompts.length, 3);
+    assert.ok(JSON.stringify(prompts.at(-1)).includes("Employee 1"));
+    assertNoSecrets(prompts);
+
+    const messages = await agent.getThreadMessages("t1");
+    const [toolCall] = messages[1].tools;
+    assert.equal(toolCall.state, "output-available");
+    assertNoSecrets(messages);
+  });
+});
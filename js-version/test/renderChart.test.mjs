@@ -0,0 +1,173 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "render-chart-test-"));
+const scriptFile = path.join(dataDir, "script.json");
+fs.writeFileSync(
+  scriptFile,
+  JSON.stringify([
+    {
+      steps: [
+        {
+          tool_calls: [
+            {
+              name: "queryApiData",
+              args: {
+                endpoint: "employee_data",
+                aggregation: { groupBy: "PLANT_ID" },
+              },
+            },
+          ],
+        },
+        {
+          tool_calls: [
+            {
+              name: "renderChart",
+              args: { type: "bar", x: "PLANT_ID", y: "count" },
+            },
+          ],
+        },
+        "Jaipur has the most employees.",
+      ],
+    },
+  ])
+);
+Object.assign(process.env, {
+  CHAT_DATA_DIR: dataDir,
+  LLM_PROVIDER: "scripted",
+  LLM_SCRIPT_FILE: scriptFile,
+  EMPLOYEE_DATA_API: "https://example.test/employees",
+  TOOL_APPROVAL: "off",
+});
+
+const user = { empId: "E1", scope: "all" };
+const employees = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    EMP_ID: `E${i + 1}`,
+    EMP_NAME: `Employee ${i + 1}`,
+    PLANT_ID: i % 3 ? "JAIP" : "BALA",
+    AREA_ID: String(100 + i),
+    EMP_MOBILE_NO: "9876543210",
+  }));
+
+let rows = [];
+const realFetch = globalThis.fetch;
+let tools;
+let agent;
+let apiCache;
+
+before(async () => {
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify(rows), {
+      headers: { "Content-Type": "application/json" },
+    });
+  tools = await import("../src/lib/agentTools.js");
+  agent = await import("../src/lib/langgraphAgent.js");
+  ({ apiCache } = await import("../src/lib/responseCache.js"));
+});
+
+beforeEach(() => apiCache.clear());
+
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function pagedCursor() {
+  const output = JSON.parse(
+    await tools.queryApiDataTool.invoke(
+      { endpoint: "employee_data" },
+      { configurable: { user } }
+    )
+  );
+  assert.ok(output.next_cursor, "expected a paged result");
+  return output.next_cursor;
+}
+
+const chartCall = (args) => ({
+  id: "call_chart",
+  name: "renderChart",
+  args,
+  type: "tool_call",
+});
+
+describe("renderChart", () => {
+  it("plots the latest query result without the model resending it", async () => {
+    rows = employees(30);
+    await agent.runAgent({ role: "user", content: "chart by plant" }, "t1", {
+      user,
+    });
+
+    const messages = await agent.getThreadMessages("t1");
+    const chart = messages
+      .flatMap((m) => m.tools ?? [])
+      .find((t) => t.name === "renderChart");
+    assert.equal(chart.state, "output-available");
+    assert.equal(chart.input.data, undefined);
+    assert.deepEqual(chart.artifact, {
+      type: "bar",
+      x: "PLANT_ID",
+      y: "count",
+      data: [
+        { PLANT_ID: "JAIP", count: 20 },
+        { PLANT_ID: "BALA", count: 10 },
+      ],
+    });
+  });
+
+  it("plots every row of a paged result from its cursor", async () => {
+    rows = employees(150);
+    const message = await tools.renderChartTool.invoke(
+      chartCall({
+        type: "bar",
+        x: "EMP_NAME",
+        y: "AREA_ID",
+        cursor: await pagedCursor(),
+      }),
+      { configurable: { user } }
+    );
+    assert.notEqual(message.status, "error", message.content);
+    assert.equal(message.artifact.data.length, 150);
+    // Only the plotted fields reach the UI
+    assert.deepEqual(message.artifact.data[0], {
+      EMP_NAME: "Employee 1",
+      AREA_ID: "100",
+    });
+    assert.equal(JSON.parse(message.content).categories, 150);
+  });
+
+  it("asks for an aggregation when the result is too large", async () => {
+    rows = employees(400);
+    const message = await tools.renderChartTool.invoke(
+      chartCall({
+        type: "bar",
+        x: "EMP_NAME",
+        y: "AREA_ID",
+        cursor: await pagedCursor(),
+      }),
+      { configurable: { user } }
+    );
+    assert.equal(message.status, "error");
+    assert.match(message.content, /400 records.*aggregate it first/);
+  });
+
+  it("still accepts inline data", async () => {
+    const message = await tools.renderChartTool.invoke(
+      chartCall({
+        type: "pie",
+        x: "STATUS",
+        y: "count",
+        data: [
+          { STATUS: "Open", count: 3 },
+          { STATUS: "Closed", count: 5 },
+        ],
+      }),
+      { configurable: { user } }
+    );
+    assert.notEqual(message.status, "error", message.content);
+    assert.equal(message.artifact.data.length, 2);
+  });
+});
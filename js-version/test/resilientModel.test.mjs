@@ -0,0 +1,157 @@
+import { beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage } from "@langchain/core/messages";
+import { createResilientModel } from "../src/lib/resilientModel.js";
+
+function rateLimited(retryAfterSeconds) {
+  return Object.assign(new Error("429 Too Many Requests"), {
+    status: 429,
+    headers:
+      retryAfterSeconds === undefined
+        ? {}
+        : { "retry-after": String(retryAfterSeconds) },
+  });
+}
+
+// A chat model stub that throws the queued errors, then answers `reply`
+function stubModel(errors = [], reply = "ok") {
+  const queue = [...errors];
+  const model = {
+    calls: 0,
+    bindTools: () => model,
+    invoke: async () => {
+      model.calls++;
+      if (queue.length > 0) throw queue.shift();
+      return new AIMessage(reply);
+    },
+  };
+  return model;
+}
+
+// Delays the wrapper slept for, in ms
+let delays;
+
+beforeEach(() => {
+  delays = [];
+  mock.restoreAll();
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+  const realSetTimeout = globalThis.setTimeout;
+  mock.method(globalThis, "setTimeout", (fn, ms, ...rest) => {
+    delays.push(ms);
+    return realSetTimeout(fn, 0, ...rest);
+  });
+});
+
+describe("createResilientModel", () => {
+  it("retries a rate-limited primary the configured number of times", async () => {
+    const primary = stubModel([rateLimited(), rateLimited(), rateLimited()]);
+    const model = createResilientModel({
+      primary: { model: primary, label: "primary" },
+      tools: [],
+      retry: { retries: 2, baseMs: 10, maxDelayMs: 1000 },
+    });
+
+    await assert.rejects(model.invoke("hi"), { status: 429 });
+    assert.equal(primary.calls, 3);
+    assert.equal(delays.length, 2);
+  });
+
+  it("answers from the primary once a retry succeeds", async () => {
+    const primary = stubModel([rateLimited()], "primary answer");
+    const model = createResilientModel({
+      primary: { model: primary, label: "primary" },
+      tools: [],
+      retry: { retries: 2, baseMs: 10, maxDelayMs: 1000 },
+    });
+
+    const reply = await model.invoke("hi");
+    assert.equal(reply.content, "primary answer");
+    assert.deepEqual(reply.response_metadata.answered_by, {
+      model: "primary",
+      fallback: false,
+    });
+    assert.equal(primary.calls, 2);
+  });
+
+  it("never waits longer than maxDelayMs between retries", async () => {
+    const primary = stubModel([rateLimited(0.005), rateLimited(0.005)]);
+    const model = createResilientModel({
+      primary: { model: primary, label: "primary" },
+      tools: [],
+      // Backoff alone would wait 1s and then 2s
+      retry: { retries: 3, baseMs: 1000, maxDelayMs: 20 },
+    });
+
+    await model.invoke("hi");
+    assert.equal(delays.length, 2);
+    for (const delay of delays) {
+      assert.ok(delay >= 5 && delay <= 20, `waited ${delay} ms`);
+    }
+  });
+
+  it("falls back at once when retry-after exceeds maxDelayMs", async () => {
+    const primary = stubModel([rateLimited(60)]);
+    const fallback = stubModel([], "fallback answer");
+    const model = createResilientModel({
+      primary: { model: primary, label: "primary" },
+      fallback: { model: fallback, label: "secondary" },
+      tools: [],
+      retry: { retries: 3, baseMs: 10, maxDelayMs: 20_000 },
+    });
+
+    const reply = await model.invoke("hi");
+    assert.equal(reply.content, "fallback answer");
+    assert.equal(primary.calls, 1);
+    assert.deepEqual(delays, []);
+  });
+
+  it("uses the secondary model once retries run out and tags its answer", async () => {
+    const primary = stubModel([rateLimited(), rateLimited(), rateLimited()]);
+    const fallback = stubModel([], "fallback answer");
+    const model = createResilientModel({
+      primary: { model: primary, label: "gemini-2.5-flash" },
+      fallback: { model: fallback, label: "gpt-4o-mini" },
+      tools: [],
+      retry: { retries: 2, baseMs: 10, maxDelayMs: 1000 },
+    });
+
+    const reply = await model.invoke("hi");
+    assert.equal(primary.calls, 3);
+    assert.equal(fallback.calls, 1);
+    assert.equal(reply.content, "fallback answer");
+    const answeredBy = { model: "gpt-4o-mini", fallback: true };
+    assert.deepEqual(reply.response_metadata.answered_by, answeredBy);
+    // Kept in lc_kwargs so it survives checkpoint serialization
+    assert.deepEqual(reply.lc_kwargs.response_metadata.answered_by, answeredBy);
+  });
+
+  it("rethrows the rate limit when the secondary model fails too", async () => {
+    const primary = stubModel([rateLimited()]);
+    const fallback = stubModel([new Error("secondary is down")]);
+    const model = createResilientModel({
+      primary: { model: primary, label: "primary" },
+      fallback: { model: fallback, label: "secondary" },
+      tools: [],
+      retry: { retries: 0, baseMs: 10, maxDelayMs: 1000 },
+    });
+
+    await assert.rejects(model.invoke("hi"), { status: 429 });
+    assert.equal(fallback.calls, 1);
+  });
+
+  it("does not retry other errors", async () => {
+    const primary = stubModel([new Error("invalid argument")]);
+    const fallback = stubModel();
+    const model = createResilientModel({
+      primary: { model: primary, label: "primary" },
+      fallback: { model: fallback, label: "secondary" },
+      tools: [],
+      retry: { retries: 2, baseMs: 10, maxDelayMs: 1000 },
+    });
+
+    await assert.rejects(model.invoke("hi"), /invalid argument/);
+    assert.equal(primary.calls, 1);
+    assert.equal(fallback.calls, 0);
+  });
+});
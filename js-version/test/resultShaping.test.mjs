@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { continuePage, shapeAggregation } from "../src/lib/resultShaping.js";
+
+describe("aggregation paging", () => {
+  it("keeps total_records the number of aggregated records on every page", () => {
+    const result = Array.from({ length: 500 }, (_, i) => ({
+      CUSTOMER_NAME: `Customer ${i}`,
+      total: i,
+    }));
+    let snapshot;
+    const first = shapeAggregation(
+      { query_type: "group_aggregate", total_records: 12_000, result },
+      {
+        budget: 1000,
+        openCursor: (stored, next) => {
+          snapshot = stored;
+          return `cursor:${next}`;
+        },
+      }
+    );
+    assert.equal(first.total_records, 12_000);
+    assert.equal(first.total_groups, 500);
+    assert.match(first.message, /^Showing groups 1-\d+ of 500/);
+
+    const second = continuePage(snapshot, first.returned, {
+      budget: 1000,
+      cursorFor: (next) => `cursor:${next}`,
+    });
+    assert.equal(second.total_records, 12_000);
+    assert.equal(second.total_groups, 500);
+    assert.equal(second.offset, first.returned);
+    assert.equal(second.result[0].CUSTOMER_NAME, `Customer ${first.returned}`);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SnapshotStore } from "../src/lib/resultSnapshots.js";
+
+const snapshot = (count) => ({
+  kind: "rows",
+  rows: Array.from({ length: count }, (_, i) => ({ i })),
+});
+
+describe("SnapshotStore", () => {
+  it("drops the oldest snapshots once the rows exceed maxRows", () => {
+    const store = new SnapshotStore({
+      ttlMs: 60_000,
+      maxEntries: 10,
+      maxRows: 1000,
+    });
+    const first = store.save(snapshot(400), "E1");
+    const second = store.save(snapshot(400), "E1");
+    const third = store.save(snapshot(400), "E1");
+    assert.equal(store.get(first, "E1"), null);
+    assert.equal(store.get(second, "E1").rows.length, 400);
+    assert.equal(store.get(third, "E1").rows.length, 400);
+    assert.equal(store.totalRows, 800);
+  });
+
+  it("keeps the newest snapshot even when it alone exceeds maxRows", () => {
+    const store = new SnapshotStore({
+      ttlMs: 60_000,
+      maxEntries: 10,
+      maxRows: 1000,
+    });
+    const small = store.save(snapshot(10), "E1");
+    const large = store.save(snapshot(5000), "E1");
+    assert.equal(store.get(small, "E1"), null);
+    assert.equal(store.get(large, "E1").rows.length, 5000);
+  });
+
+  it("still limits the number of snapshots", () => {
+    const store = new SnapshotStore({ ttlMs: 60_000, maxEntries: 2 });
+    const ids = [1, 2, 3].map(() => store.save(snapshot(1), "E1"));
+    assert.equal(store.get(ids[0], "E1"), null);
+    assert.ok(store.get(ids[2], "E1"));
+    assert.equal(store.get(ids[2], "E2"), null);
+  });
+});
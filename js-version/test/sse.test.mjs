@@ -0,0 +1,107 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "sse-test-"));
+const scriptFile = path.join(dataDir, "script.json");
+fs.writeFileSync(
+  scriptFile,
+  JSON.stringify([
+    { match: "^hello", steps: ["Hello there."] },
+    {
+      steps: [
+        {
+          tool_calls: [
+            {
+              name: "queryApiData",
+              args: { endpoint: "employee_data", filters: { EMP_ID: "E1" } },
+            },
+          ],
+        },
+        "Found the employee.",
+      ],
+    },
+  ])
+);
+Object.assign(process.env, {
+  CHAT_DATA_DIR: dataDir,
+  LLM_PROVIDER: "scripted",
+  LLM_SCRIPT_FILE: scriptFile,
+  EMPLOYEE_DATA_API: "https://example.test/employees",
+  TOOL_APPROVAL: "off",
+});
+
+const user = { empId: "E1", scope: "all" };
+const realFetch = globalThis.fetch;
+let agent;
+let sse;
+
+before(async () => {
+  // A slow source, so the stream can be cancelled while the tool runs
+  globalThis.fetch = async () => {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return new Response(JSON.stringify([{ EMP_ID: "E1", EMP_NAME: "Asha" }]), {
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+  agent = await import("../src/lib/langgraphAgent.js");
+  sse = await import("../src/lib/sse.js");
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const stream = (content, threadId) =>
+  sse.toSSEStream(
+    agent.streamAgent({ role: "user", content }, threadId, { user })
+  );
+
+async function readAll(body) {
+  const events = [];
+  for await (const event of sse.readSSE(new Response(body))) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe("toSSEStream", () => {
+  it("streams every agent event as an SSE frame", async () => {
+    const events = await readAll(stream("find E1", "complete"));
+    assert.deepEqual(
+      events.map((e) => e.type).filter((type) => type !== "text-delta"),
+      ["tool-call-start", "tool-result", "done"]
+    );
+    assert.equal(events.at(-1).text, "Found the employee.");
+  });
+
+  it("reports a failing iterator as a final error event", async () => {
+    async function* failing() {
+      yield { type: "text-delta", delta: "Hi" };
+      throw new Error("boom");
+    }
+    assert.deepEqual(await readAll(sse.toSSEStream(failing())), [
+      { type: "text-delta", delta: "Hi" },
+      { type: "error", message: "boom" },
+    ]);
+  });
+
+  it("rewinds the thread when the stream is cancelled mid-run", async () => {
+    await readAll(stream("hello", "cancelled"));
+    const before = await agent.getThreadMessages("cancelled");
+    assert.equal(before.length, 2);
+
+    const reader = stream("find E1", "cancelled").getReader();
+    const { value } = await reader.read();
+    assert.match(new TextDecoder().decode(value), /^event: tool-call-start/);
+    await reader.cancel();
+    assert.deepEqual(await agent.getThreadMessages("cancelled"), before);
+
+    // Writes the stopped run still had in flight do not bring the turn back
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    assert.deepEqual(await agent.getThreadMessages("cancelled"), before);
+  });
+});
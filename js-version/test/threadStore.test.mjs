@@ -0,0 +1,61 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "thread-store-test-"));
+process.env.CHAT_DATA_DIR = dataDir;
+const threadsFile = path.join(dataDir, "threads.json");
+
+let store;
+
+before(async () => {
+  store = await import("../src/lib/threadStore.js");
+});
+
+// A thread saved before sign-in was required
+beforeEach(() => {
+  const legacy = {
+    id: "legacy",
+    title: "Old chat",
+    createdAt: "2025-01-01T00:00:00.000Z",
+    updatedAt: "2025-01-01T00:00:00.000Z",
+  };
+  fs.writeFileSync(threadsFile, JSON.stringify({ legacy }));
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe("thread ownership", () => {
+  it("keeps a thread private to its owner", async () => {
+    await store.touchThread("t1", "hello", { owner: "E1" });
+    assert.equal((await store.getThread("t1", "E1")).owner, "E1");
+    assert.equal(await store.getThread("t1", "E2"), null);
+    assert.equal(await store.getThread("t1", undefined), null);
+    assert.equal(await store.touchThread("t1", "", { owner: "E2" }), null);
+    assert.deepEqual(
+      (await store.listThreads("E2")).map((t) => t.id),
+      []
+    );
+  });
+
+  it("lets the first signed-in user to open a legacy thread claim it", async () => {
+    assert.deepEqual(await store.listThreads("E1"), []);
+    assert.equal(await store.getThread("legacy", undefined), null);
+    assert.equal((await store.getThread("legacy", "E1")).owner, "E1");
+    assert.equal(await store.getThread("legacy", "E2"), null);
+    assert.equal(await store.touchThread("legacy", "", { owner: "E2" }), null);
+    assert.deepEqual(
+      (await store.listThreads("E1")).map((t) => t.id),
+      ["legacy"]
+    );
+  });
+
+  it("lets the first signed-in user to write to a legacy thread claim it", async () => {
+    const thread = await store.touchThread("legacy", "hi", { owner: "E2" });
+    assert.equal(thread.owner, "E2");
+    assert.equal(thread.title, "Old chat");
+    assert.equal(await store.getThread("legacy", "E1"), null);
+  });
+});
@@ -0,0 +1,139 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tool-approval-test-"));
+const scriptFile = path.join(dataDir, "script.json");
+const employeeQuery = (plant) => ({
+  name: "queryApiData",
+  args: { endpoint: "employee_data", filters: { PLANT_ID: plant } },
+});
+fs.writeFileSync(
+  scriptFile,
+  JSON.stringify([
+    {
+      match: "both plants",
+      steps: [
+        { tool_calls: [employeeQuery("JAIP"), employeeQuery("BALA")] },
+        "Here are both plants.",
+      ],
+    },
+    {
+      steps: [{ tool_calls: [employeeQuery("JAIP")] }, "Here is Jaipur."],
+    },
+  ])
+);
+Object.assign(process.env, {
+  CHAT_DATA_DIR: dataDir,
+  LLM_PROVIDER: "scripted",
+  LLM_SCRIPT_FILE: scriptFile,
+  EMPLOYEE_DATA_API: "https://example.test/employees",
+  TOOL_APPROVAL: "on",
+});
+
+const user = { empId: "E1", scope: "all" };
+const rows = [
+  { EMP_ID: "E1", EMP_NAME: "Asha", PLANT_ID: "JAIP" },
+  { EMP_ID: "E2", EMP_NAME: "Ravi", PLANT_ID: "BALA" },
+];
+
+const realFetch = globalThis.fetch;
+let agent;
+let apiCache;
+
+before(async () => {
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify(rows), {
+      headers: { "Content-Type": "application/json" },
+    });
+  agent = await import("../src/lib/langgraphAgent.js");
+  ({ apiCache } = await import("../src/lib/responseCache.js"));
+});
+
+beforeEach(() => apiCache.clear());
+
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const ask = (content, threadId) =>
+  agent.runAgent({ role: "user", content }, threadId, { user });
+const resume = (threadId, decisions) =>
+  agent.runAgent(null, threadId, { user, decisions });
+const toolsOf = (result) =>
+  Object.fromEntries(result.tools.map((t) => [t.toolCallId, t]));
+
+describe("tool approval", () => {
+  it("pauses a call until the user approves it", async () => {
+    const paused = await ask("employees in Jaipur", "one");
+    assert.equal(paused.approvals.length, 1);
+    const [{ toolCallId, reasons }] = paused.approvals;
+    assert.equal(toolsOf(paused)[toolCallId].state, "approval-requested");
+    assert.ok(reasons.length > 0);
+
+    const result = await resume("one", [{ toolCallId, approved: true }]);
+    assert.deepEqual(result.approvals, []);
+    assert.equal(result.text, "Here is Jaipur.");
+    const call = toolsOf(result)[toolCallId];
+    assert.equal(call.state, "output-available");
+    assert.deepEqual(
+      JSON.parse(call.output).map((r) => r.EMP_ID),
+      ["E1"]
+    );
+    assert.deepEqual(await agent.getPendingApprovals("one"), []);
+  });
+
+  it("applies each decision to its own call when several are paused", async () => {
+    const paused = await ask("employees in both plants", "several");
+    assert.equal(paused.approvals.length, 2);
+    const [jaipur, bala] = paused.approvals.map((a) => a.toolCallId);
+    assert.deepEqual(
+      paused.approvals.map((a) => a.input.filters.PLANT_ID),
+      ["JAIP", "BALA"]
+    );
+    for (const call of Object.values(toolsOf(paused))) {
+      assert.equal(call.state, "approval-requested");
+    }
+
+    const result = await resume("several", [
+      { toolCallId: bala, approved: false },
+      { toolCallId: jaipur, approved: true },
+    ]);
+    assert.deepEqual(result.approvals, []);
+    assert.equal(result.text, "Here are both plants.");
+    const calls = toolsOf(result);
+    assert.equal(calls[jaipur].state, "output-available");
+    assert.deepEqual(
+      JSON.parse(calls[jaipur].output).map((r) => r.EMP_ID),
+      ["E1"]
+    );
+    assert.equal(calls[bala].state, "output-denied");
+  });
+
+  it("streams an approval request for every paused call", async () => {
+    const events = [];
+    for await (const event of agent.streamAgent(
+      { role: "user", content: "employees in both plants" },
+      "streamed",
+      { user }
+    )) {
+      events.push(event);
+    }
+    const requested = events.filter((e) => e.type === "approval-requested");
+    assert.equal(requested.length, 2);
+    assert.equal(events.at(-1).awaitingApproval, true);
+    assert.equal((await agent.getPendingApprovals("streamed")).length, 2);
+  });
+
+  it("rejects a decision for a call that is not waiting", async () => {
+    await ask("employees in Jaipur", "unknown");
+    await assert.rejects(
+      resume("unknown", [{ toolCallId: "call_other", approved: true }]),
+      { type: "bad_request" }
+    );
+    assert.equal((await agent.getPendingApprovals("unknown")).length, 1);
+  });
+});
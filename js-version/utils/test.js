@@ -1,6 +1,7 @@
 import { GoogleGenAI, Type } from "@google/genai";
 // import { time } from "console";
 import { configDotenv } from "dotenv";
+import { fetchJson } from "../src/lib/httpClient.js";
 // Read API key from env and pass explicitly to avoid ADC fallback
 configDotenv();
 
@@ -76,15 +77,8 @@ async function fetchEmpInfo(url, timeout = 15) {
     */
 
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      console.error(
-        `HTTP error while fetching employee info: ${response.status}`
-      );
-      return [];
-    }
-    const employeeData = await response.json();
-    return employeeData;
+    // timeout is in seconds
+    return await fetchJson(url, { timeoutMs: timeout * 1000 });
   } catch (e) {
     console.error("Error fetching employee data:", e);
     return [];